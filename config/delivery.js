@@ -0,0 +1,6 @@
+// Default delivery charges for previews (cart, coupons) made before a pincode is known.
+// Orders are always priced with the delivery zone of their pincode.
+export const DEFAULT_DELIVERY_RULES = {
+    deliveryFee: parseFloat(process.env.DELIVERY_FEE) || 40,
+    freeDeliveryThreshold: parseFloat(process.env.FREE_DELIVERY_THRESHOLD) || 500
+};
@@ -0,0 +1,17 @@
+// Order lifecycle. Kept free of model imports so models/Order.js can use it.
+export const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed moves for Order.status; delivered and cancelled are terminal
+export const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// The happy path shown on the customer's tracking timeline
+export const FULFILMENT_STEPS = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
@@ -0,0 +1,56 @@
+// Admin permissions, grouped by the area of the panel they unlock
+export const PERMISSIONS = {
+    DASHBOARD_READ: 'dashboard:read',
+    PRODUCTS_READ: 'products:read',
+    PRODUCTS_WRITE: 'products:write',
+    PRODUCTS_DELETE: 'products:delete',
+    ORDERS_READ: 'orders:read',
+    ORDERS_UPDATE: 'orders:update',
+    ORDERS_DELETE: 'orders:delete',
+    REFUNDS_MANAGE: 'refunds:manage',
+    SHIPMENTS_MANAGE: 'shipments:manage',
+    DELIVERIES_COMPLETE: 'deliveries:complete',
+    BANNERS_WRITE: 'banners:write',
+    COUPONS_MANAGE: 'coupons:manage',
+    DELIVERY_MANAGE: 'delivery:manage',
+    APK_UPLOAD: 'apk:upload',
+    SETTINGS_UPDATE: 'settings:update',
+    SECURITY_READ: 'security:read',
+    SECURITY_MANAGE: 'security:manage',
+    ADMINS_MANAGE: 'admins:manage',
+    AUDIT_READ: 'audit:read'
+};
+
+// Role → permissions map. Owners get everything, including payment settings.
+export const ROLES = {
+    owner: Object.values(PERMISSIONS),
+    catalog_manager: [
+        PERMISSIONS.DASHBOARD_READ,
+        PERMISSIONS.PRODUCTS_READ,
+        PERMISSIONS.PRODUCTS_WRITE,
+        PERMISSIONS.PRODUCTS_DELETE,
+        PERMISSIONS.BANNERS_WRITE,
+        PERMISSIONS.COUPONS_MANAGE
+    ],
+    order_operator: [
+        PERMISSIONS.DASHBOARD_READ,
+        PERMISSIONS.PRODUCTS_READ,
+        PERMISSIONS.ORDERS_READ,
+        PERMISSIONS.ORDERS_UPDATE,
+        PERMISSIONS.SHIPMENTS_MANAGE,
+        PERMISSIONS.DELIVERIES_COMPLETE
+    ],
+    // Delivery staff only see and complete the shipments assigned to them
+    delivery_agent: [
+        PERMISSIONS.DELIVERIES_COMPLETE
+    ],
+    viewer: [
+        PERMISSIONS.DASHBOARD_READ,
+        PERMISSIONS.PRODUCTS_READ,
+        PERMISSIONS.ORDERS_READ
+    ]
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+export const getRolePermissions = (role) => ROLES[role] || [];
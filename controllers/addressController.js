@@ -0,0 +1,204 @@
+import { validateAddress } from '../utils/address.js';
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'phone', 'pincode', 'address', 'landmark', 'city', 'state'];
+
+const pickAddressFields = (body) => {
+    const data = {};
+    for (const field of ADDRESS_FIELDS) {
+        if (body[field] !== undefined) data[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+    if (data.phone) data.phone = String(data.phone).replace(/\D/g, '').slice(-10);
+    return data;
+};
+
+const validationErrorResponse = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid address',
+        errors: Object.values(error.errors).map(e => e.message)
+    });
+};
+
+/**
+ * @desc    List saved addresses
+ * @route   GET /api/user/addresses
+ * @access  Private (customer)
+ */
+export const getAddresses = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user.addresses
+    });
+};
+
+/**
+ * @desc    Add an address
+ * @route   POST /api/user/addresses
+ * @access  Private (customer)
+ */
+export const addAddress = async (req, res) => {
+    try {
+        const data = pickAddressFields(req.body);
+        const errors = validateAddress(data);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address',
+                errors
+            });
+        }
+
+        const user = req.user;
+        user.addresses.push(data);
+        const added = user.addresses[user.addresses.length - 1];
+
+        // First address, or explicitly requested, becomes the default
+        if (user.addresses.length === 1 || req.body.isDefault === true || req.body.isDefault === 'true') {
+            user.setDefaultAddress(added._id);
+        }
+
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Address added successfully',
+            data: added
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return validationErrorResponse(res, error);
+
+        console.error('Add address error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add address',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update an address
+ * @route   PUT /api/user/addresses/:addressId
+ * @access  Private (customer)
+ */
+export const updateAddress = async (req, res) => {
+    try {
+        const address = req.user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+
+        const data = pickAddressFields(req.body);
+        const errors = validateAddress({ ...address.toObject(), ...data });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address',
+                errors
+            });
+        }
+
+        address.set(data);
+
+        if (req.body.isDefault === true || req.body.isDefault === 'true') {
+            req.user.setDefaultAddress(address._id);
+        }
+
+        await req.user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Address updated successfully',
+            data: address
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return validationErrorResponse(res, error);
+
+        console.error('Update address error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update address',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete an address
+ * @route   DELETE /api/user/addresses/:addressId
+ * @access  Private (customer)
+ */
+export const deleteAddress = async (req, res) => {
+    try {
+        const address = req.user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+
+        const wasDefault = address.isDefault;
+        address.deleteOne();
+
+        // Promote the next address so there is always a default
+        if (wasDefault && req.user.addresses.length > 0) {
+            req.user.setDefaultAddress(req.user.addresses[0]._id);
+        }
+
+        await req.user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete address error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete address',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Make an address the default
+ * @route   PATCH /api/user/addresses/:addressId/default
+ * @access  Private (customer)
+ */
+export const setDefaultAddress = async (req, res) => {
+    try {
+        const address = req.user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+
+        req.user.setDefaultAddress(address._id);
+        await req.user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Default address updated',
+            data: req.user.addresses
+        });
+    } catch (error) {
+        console.error('Set default address error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update default address',
+            message: error.message
+        });
+    }
+};
@@ -1,15 +1,38 @@
 import Product from '../models/Product.js';
 import Admin from '../models/Admin.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
 import { deleteImage, deleteMultipleImages } from '../config/cloudinary.js';
 import { generateToken } from '../middleware/auth.js';
 import generateId from '../utils/generateId.js';
+import { getRolePermissions } from '../config/roles.js';
+import { applyFailureDelay, getIpRetryAfter, recordLoginAttempt } from '../utils/loginProtection.js';
+import { sendNotification } from '../utils/notifier.js';
+import { recordAudit } from '../utils/audit.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Issue an access token + refresh token pair for an admin
+const issueAuthTokens = async (admin, req) => {
+    const token = generateToken(admin);
+    const refreshToken = await RefreshToken.issue(admin._id, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+    });
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    };
+};
 
 // @desc    Admin login
 // @route   POST /api/admin/login
 // @access  Public
 const adminLogin = async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { username, password, otp } = req.body;
 
         console.log('🔍 Login attempt for username:', username);
 
@@ -20,42 +43,115 @@ const adminLogin = async (req, res) => {
             });
         }
 
-        const admin = await Admin.findOne({ username }).select('+password');
+        const retryAfter = await getIpRetryAfter(req.ip);
+
+        if (retryAfter > 0) {
+            console.log('⛔ Login blocked for IP:', req.ip);
+            await recordLoginAttempt(req, { username, success: false, reason: 'ip_blocked' });
+            res.set('Retry-After', retryAfter.toString());
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts. Please try again later.',
+                retryAfter
+            });
+        }
+
+        const admin = await Admin.findOne({ username })
+            .select('+password +twoFactor.secret +twoFactor.backupCodes');
 
         console.log('🔍 Admin found in DB:', admin ? 'YES' : 'NO');
 
-        if (!admin || !admin.isActive) {
-            console.log('❌ Admin not found or inactive');
+        // Shared failure path: record, slow down, respond generically
+        const rejectLogin = async (reason, { countAgainstAccount = false, body = {} } = {}) => {
+            if (countAgainstAccount) {
+                await admin.registerFailedLogin();
+            }
+            await recordLoginAttempt(req, { username, admin, success: false, reason });
+            await applyFailureDelay(req.ip);
+
             return res.status(401).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Invalid credentials',
+                ...body
             });
+        };
+
+        if (!admin) {
+            console.log('❌ Admin not found');
+            return rejectLogin('invalid_username');
+        }
+
+        if (!admin.isActive) {
+            console.log('❌ Admin inactive');
+            return rejectLogin('inactive');
         }
 
         const isMatch = await admin.comparePassword(password);
         console.log('🔍 Password match result:', isMatch);
 
-        if (!isMatch) {
-            console.log('❌ Password comparison failed');
-            return res.status(401).json({
+        // A locked account looks like any other failure until the right password
+        // is given, so the lockout does not reveal which usernames exist
+        if (admin.isLocked) {
+            console.log('🔒 Admin account locked until:', admin.lockUntil);
+
+            if (!isMatch) {
+                return rejectLogin('locked');
+            }
+
+            await recordLoginAttempt(req, { username, admin, success: false, reason: 'locked' });
+            return res.status(423).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Account temporarily locked due to too many failed login attempts',
+                lockUntil: admin.lockUntil
             });
         }
 
+        if (!isMatch) {
+            console.log('❌ Password comparison failed');
+            return rejectLogin('invalid_password', { countAgainstAccount: true });
+        }
+
+        if (admin.twoFactor?.enabled) {
+            if (!otp) {
+                return res.status(401).json({
+                    success: false,
+                    twoFactorRequired: true,
+                    message: 'Two-factor authentication code required'
+                });
+            }
+
+            const isValidCode = await admin.verifySecondFactor(otp);
+
+            if (!isValidCode) {
+                console.log('❌ Invalid two-factor code');
+                return rejectLogin('invalid_2fa', {
+                    countAgainstAccount: true,
+                    body: {
+                        twoFactorRequired: true,
+                        message: 'Invalid two-factor authentication code'
+                    }
+                });
+            }
+        }
+
         await admin.updateLastLogin();
-        const token = generateToken(admin._id);
+        await recordLoginAttempt(req, { username, admin, success: true, reason: 'success' });
+        const tokens = await issueAuthTokens(admin, req);
 
         console.log('✅ Login successful for:', username);
 
         res.status(200).json({
             success: true,
-            token,
+            ...tokens,
             admin: {
                 id: admin._id,
                 username: admin.username,
                 email: admin.email,
-                name: admin.name
+                name: admin.name,
+                role: admin.role,
+                permissions: getRolePermissions(admin.role),
+                twoFactorEnabled: !!admin.twoFactor?.enabled,
+                mustChangePassword: admin.mustChangePassword
             }
         });
     } catch (error) {
@@ -68,14 +164,282 @@ const adminLogin = async (req, res) => {
     }
 };
 
-// @desc    Admin logout
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/admin/refresh
+// @access  Public
+const refreshAdminToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const result = await RefreshToken.rotate(refreshToken, {
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const admin = await Admin.findById(result.adminId);
+
+        if (!admin || !admin.isActive) {
+            await RefreshToken.revokeAllForAdmin(result.adminId);
+            return res.status(401).json({
+                success: false,
+                message: 'Admin account is deactivated'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: generateToken(admin),
+            refreshToken: result.token,
+            expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Admin logout (revokes the current access token and refresh token)
 // @route   POST /api/admin/logout
 // @access  Private
 const adminLogout = async (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+    try {
+        const { refreshToken } = req.body || {};
+
+        await RevokedToken.revoke(req.token.jti, req.admin._id, req.token.expiresAt);
+
+        if (refreshToken) {
+            await RefreshToken.revokeToken(refreshToken, req.admin._id);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Log out every session of the current admin
+// @route   POST /api/admin/logout-all
+// @access  Private
+const adminLogoutAll = async (req, res) => {
+    try {
+        await req.admin.revokeAllTokens();
+        await RefreshToken.revokeAllForAdmin(req.admin._id);
+
+        await recordAudit(req, {
+            action: 'admin.logout_all',
+            entityType: 'Admin',
+            entityId: req.admin._id,
+            changes: {}
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'All sessions logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out sessions',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Change own password (ends all other sessions)
+// @route   PUT /api/admin/password
+// @access  Private
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password and new password are required'
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const admin = await Admin.findById(req.admin._id).select('+password');
+        const isMatch = await admin.comparePassword(currentPassword);
+
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        admin.password = newPassword;
+        admin.mustChangePassword = false;
+        admin.tokenVersion += 1;
+        await admin.save();
+        await RefreshToken.revokeAllForAdmin(admin._id);
+
+        await recordAudit(req, {
+            action: 'admin.password_change',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { password: { before: '[redacted]', after: '[redacted]' } }
+        });
+
+        const tokens = await issueAuthTokens(admin, req);
+
+        res.status(200).json({
+            success: true,
+            ...tokens,
+            message: 'Password changed successfully. Other sessions have been logged out.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error changing password',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/admin/password/forgot
+// @access  Public
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const admin = await Admin.findOne({ email: email.trim().toLowerCase(), isActive: true });
+
+        // Same response whether or not the account exists
+        if (admin) {
+            const token = admin.createPasswordResetToken();
+            await admin.save();
+
+            const resetUrl = `${process.env.ADMIN_FRONTEND_URL || 'http://localhost:3001'}/reset-password?token=${token}`;
+
+            await sendNotification({
+                to: admin.email,
+                type: 'password_reset',
+                subject: 'Reset your admin password',
+                text: `Hi ${admin.name},\n\nUse the link below to reset your password. It expires in ${parseInt(process.env.PASSWORD_RESET_MINUTES) || 30} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this message.`
+            });
+
+            console.log('📨 Password reset requested for:', admin.username);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/admin/password/reset
+// @access  Public
+const resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword || typeof token !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Token and new password are required'
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const admin = await Admin.consumePasswordResetToken(token);
+
+        if (!admin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is invalid or has expired'
+            });
+        }
+
+        admin.password = newPassword;
+        admin.mustChangePassword = false;
+        admin.failedLoginAttempts = 0;
+        admin.lockUntil = undefined;
+        admin.lockCount = 0;
+        admin.tokenVersion += 1;
+        await admin.save();
+        await RefreshToken.revokeAllForAdmin(admin._id);
+
+        await recordAudit(req, {
+            actor: admin,
+            action: 'admin.password_reset',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { password: { before: '[redacted]', after: '[redacted]' } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
 };
 
 // @desc    Get admin profile
@@ -87,7 +451,10 @@ const getAdminProfile = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: admin
+            data: {
+                ...admin.toObject(),
+                permissions: getRolePermissions(admin.role)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -110,7 +477,7 @@ const createProduct = async (req, res) => {
         const {
             name, mrp, dmartPrice, weight, pricePerUnit, brand,
             category, isVeg, description, tags, badge, stockQuantity,
-            featured, rating, reviewsCount
+            featured, rating, reviewsCount, hsnCode, gstRate
         } = req.body;
 
         // Validate required fields
@@ -197,7 +564,9 @@ const createProduct = async (req, res) => {
             stockQuantity: parsedStockQuantity,
             featured: parsedFeatured,
             rating: Math.round(parsedRating * 10) / 10,
-            reviewsCount: parsedReviewsCount
+            reviewsCount: parsedReviewsCount,
+            hsnCode: hsnCode ? String(hsnCode).trim() : undefined,
+            gstRate: gstRate !== undefined && gstRate !== '' ? parseFloat(gstRate) : 0
         });
 
         console.log('💾 Saving product with data:', {
@@ -212,6 +581,13 @@ const createProduct = async (req, res) => {
 
         await product.save();
 
+        await recordAudit(req, {
+            action: 'product.create',
+            entityType: 'Product',
+            entityId: product.id,
+            after: product
+        });
+
         console.log('✅ Product created successfully with ID:', product.id);
 
         res.status(201).json({
@@ -345,6 +721,7 @@ const updateProduct = async (req, res) => {
         if (updateData.mrp) updateData.mrp = parseFloat(updateData.mrp);
         if (updateData.dmartPrice) updateData.dmartPrice = parseFloat(updateData.dmartPrice);
         if (updateData.stockQuantity) updateData.stockQuantity = parseInt(updateData.stockQuantity);
+        if (updateData.gstRate !== undefined) updateData.gstRate = parseFloat(updateData.gstRate);
         if (updateData.isVeg !== undefined) updateData.isVeg = updateData.isVeg === 'true' || updateData.isVeg === true;
         if (updateData.featured !== undefined) updateData.featured = updateData.featured === 'true' || updateData.featured === true;
 
@@ -390,12 +767,22 @@ const updateProduct = async (req, res) => {
             updateData.images = [...(product.images || []), ...newImages];
         }
 
+        const before = product.toObject();
+
         product = await Product.findOneAndUpdate(
             { id: req.params.id },
             updateData,
             { new: true, runValidators: true }
         );
 
+        await recordAudit(req, {
+            action: 'product.update',
+            entityType: 'Product',
+            entityId: product.id,
+            before,
+            after: product
+        });
+
         res.status(200).json({
             success: true,
             data: product,
@@ -432,6 +819,13 @@ const deleteProduct = async (req, res) => {
 
         await Product.findOneAndDelete({ id: req.params.id });
 
+        await recordAudit(req, {
+            action: 'product.delete',
+            entityType: 'Product',
+            entityId: product.id,
+            before: product
+        });
+
         res.status(200).json({
             success: true,
             message: 'Product deleted successfully'
@@ -511,19 +905,29 @@ const updateProductRating = async (req, res) => {
         if (rating !== undefined) updateData.rating = Math.round(parseFloat(rating) * 10) / 10;
         if (reviewsCount !== undefined) updateData.reviewsCount = parseInt(reviewsCount);
 
-        const product = await Product.findOneAndUpdate(
-            { id: req.params.id },
-            updateData,
-            { new: true, runValidators: true }
-        );
+        const before = await Product.findOne({ id: req.params.id });
 
-        if (!product) {
+        if (!before) {
             return res.status(404).json({
                 success: false,
                 message: 'Product not found'
             });
         }
 
+        const product = await Product.findOneAndUpdate(
+            { id: req.params.id },
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        await recordAudit(req, {
+            action: 'product.rating_update',
+            entityType: 'Product',
+            entityId: product.id,
+            before,
+            after: product
+        });
+
         res.status(200).json({
             success: true,
             data: product,
@@ -540,7 +944,12 @@ const updateProductRating = async (req, res) => {
 
 export {
     adminLogin,
+    refreshAdminToken,
     adminLogout,
+    adminLogoutAll,
+    changePassword,
+    forgotPassword,
+    resetPassword,
     getAdminProfile,
     createProduct,
     getAdminProducts,
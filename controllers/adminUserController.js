@@ -0,0 +1,354 @@
+import crypto from 'crypto';
+import Admin from '../models/Admin.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { ROLE_NAMES } from '../config/roles.js';
+import { recordAudit } from '../utils/audit.js';
+
+const ADMIN_LIST_FIELDS = 'username email name role isActive mustChangePassword lastLogin loginCount lockUntil twoFactor.enabled invitedBy createdAt';
+
+// Readable one-time password handed to the new/reset admin
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+// Deactivating or demoting the last active owner would lock everyone out of settings
+const isLastActiveOwner = async (admin) => {
+    if (admin.role !== 'owner' || !admin.isActive) return false;
+
+    const otherOwners = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: 'owner',
+        isActive: true
+    });
+
+    return otherOwners === 0;
+};
+
+// Kill every session of an admin (access + refresh tokens)
+const revokeSessions = async (admin) => {
+    await admin.revokeAllTokens();
+    await RefreshToken.revokeAllForAdmin(admin._id);
+};
+
+// @desc    List admin accounts
+// @route   GET /api/admin/users
+// @access  Private (admins:manage)
+const listAdmins = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        let query = {};
+
+        if (req.query.role) query.role = req.query.role;
+        if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+        if (req.query.search) {
+            const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { username: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } },
+                { name: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const admins = await Admin.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select(ADMIN_LIST_FIELDS)
+            .populate('invitedBy', 'username name');
+
+        const total = await Admin.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: admins,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching admins',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Invite (create) a new admin with a temporary password
+// @route   POST /api/admin/users
+// @access  Private (admins:manage)
+const inviteAdmin = async (req, res) => {
+    try {
+        const { username, email, name, role } = req.body;
+
+        if (!username || !email || !name || !role) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: username, email, name, role'
+            });
+        }
+
+        if (!ROLE_NAMES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}`
+            });
+        }
+
+        const existing = await Admin.findOne({
+            $or: [{ username: username.trim() }, { email: email.trim().toLowerCase() }]
+        });
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'An admin with this username or email already exists'
+            });
+        }
+
+        const temporaryPassword = generateTemporaryPassword();
+
+        const admin = await Admin.create({
+            username: username.trim(),
+            email: email.trim(),
+            name: name.trim(),
+            role,
+            password: temporaryPassword,
+            mustChangePassword: true,
+            invitedBy: req.admin._id
+        });
+
+        await recordAudit(req, {
+            action: 'admin.invite',
+            entityType: 'Admin',
+            entityId: admin._id,
+            after: admin
+        });
+
+        console.log(`✅ Admin ${admin.username} invited by ${req.admin.username}`);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                id: admin._id,
+                username: admin.username,
+                email: admin.email,
+                name: admin.name,
+                role: admin.role,
+                temporaryPassword
+            },
+            message: 'Admin invited successfully. Share the temporary password securely; it must be changed on first login.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error inviting admin',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Change an admin's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admins:manage)
+const updateAdminRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLE_NAMES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}`
+            });
+        }
+
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (role !== 'owner' && await isLastActiveOwner(admin)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot demote the last active owner'
+            });
+        }
+
+        const previousRole = admin.role;
+        admin.role = role;
+        await admin.save();
+
+        await recordAudit(req, {
+            action: 'admin.role_change',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { role: { before: previousRole, after: role } }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { id: admin._id, username: admin.username, role: admin.role },
+            message: 'Admin role updated successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating admin role',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Deactivate an admin and end their sessions
+// @route   PATCH /api/admin/users/:id/deactivate
+// @access  Private (admins:manage)
+const deactivateAdmin = async (req, res) => {
+    try {
+        if (req.params.id === req.admin._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account'
+            });
+        }
+
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (await isLastActiveOwner(admin)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot deactivate the last active owner'
+            });
+        }
+
+        admin.isActive = false;
+        await revokeSessions(admin);
+
+        await recordAudit(req, {
+            action: 'admin.deactivate',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { isActive: { before: true, after: false } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${admin.username} deactivated successfully`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deactivating admin',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reactivate an admin
+// @route   PATCH /api/admin/users/:id/reactivate
+// @access  Private (admins:manage)
+const reactivateAdmin = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        const wasActive = admin.isActive;
+        admin.isActive = true;
+        await admin.save();
+
+        await recordAudit(req, {
+            action: 'admin.reactivate',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { isActive: { before: wasActive, after: true } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${admin.username} reactivated successfully`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error reactivating admin',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reset another admin's password to a temporary one
+// @route   POST /api/admin/users/:id/reset-password
+// @access  Private (admins:manage)
+const resetAdminPassword = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        const temporaryPassword = generateTemporaryPassword();
+
+        admin.password = temporaryPassword;
+        admin.mustChangePassword = true;
+        admin.failedLoginAttempts = 0;
+        admin.lockUntil = undefined;
+        admin.lockCount = 0;
+        await revokeSessions(admin);
+
+        await recordAudit(req, {
+            action: 'admin.password_reset',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { password: { before: '[redacted]', after: '[redacted]' } }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: admin._id,
+                username: admin.username,
+                temporaryPassword
+            },
+            message: 'Password reset successfully. The admin must change it on next login.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+};
+
+export {
+    listAdmins,
+    inviteAdmin,
+    updateAdminRole,
+    deactivateAdmin,
+    reactivateAdmin,
+    resetAdminPassword
+};
@@ -1,6 +1,7 @@
 import Apk from '../models/Apk.js';
 import { v2 as cloudinary } from 'cloudinary';
 import fs from 'fs';
+import { recordAudit } from '../utils/audit.js';
 
 export const uploadApk = async (req, res) => {
     try {
@@ -29,6 +30,14 @@ export const uploadApk = async (req, res) => {
             updatedBy: req.admin?.email || 'admin'
         });
 
+        await recordAudit(req, {
+            action: 'apk.upload',
+            entityType: 'Apk',
+            entityId: apk._id,
+            before: old,
+            after: apk
+        });
+
         res.status(201).json({ success: true, data: apk, message: 'APK uploaded' });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
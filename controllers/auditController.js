@@ -0,0 +1,52 @@
+import AuditLog from '../models/AuditLog.js';
+
+// @desc    List audit log entries
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+const getAuditLogs = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        let query = {};
+
+        if (req.query.admin) query.admin = req.query.admin;
+        if (req.query.action) query.action = req.query.action;
+        if (req.query.entityType) query.entityType = req.query.entityType;
+        if (req.query.entityId) query.entityId = req.query.entityId;
+        if (req.query.ip) query.ip = req.query.ip;
+        if (req.query.from || req.query.to) {
+            query.createdAt = {};
+            if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const logs = await AuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v');
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: logs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit logs',
+            error: error.message
+        });
+    }
+};
+
+export { getAuditLogs };
@@ -1,5 +1,6 @@
 import Banner from '../models/Banner.js';
 import { v2 as cloudinary } from 'cloudinary';
+import { recordAudit } from '../utils/audit.js';
 
 // Get all banners
 export const getAllBanners = async (req, res) => {
@@ -126,6 +127,13 @@ export const createBanner = async (req, res) => {
 
     const savedBanner = await newBanner.save();
 
+    await recordAudit(req, {
+      action: 'banner.create',
+      entityType: 'Banner',
+      entityId: savedBanner._id,
+      after: savedBanner
+    });
+
     res.status(201).json({
       success: true,
       message: 'Banner created successfully',
@@ -250,6 +258,14 @@ export const updateBanner = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordAudit(req, {
+      action: 'banner.update',
+      entityType: 'Banner',
+      entityId: updatedBanner._id,
+      before: banner,
+      after: updatedBanner
+    });
+
     res.status(200).json({
       success: true,
       message: 'Banner updated successfully',
@@ -315,6 +331,13 @@ export const deleteBanner = async (req, res) => {
     // Delete banner from database
     await Banner.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: 'banner.delete',
+      entityType: 'Banner',
+      entityId: banner._id,
+      before: banner
+    });
+
     res.status(200).json({
       success: true,
       message: 'Banner deleted successfully',
@@ -358,6 +381,13 @@ export const toggleBannerStatus = async (req, res) => {
     banner.isActive = !banner.isActive;
     await banner.save();
 
+    await recordAudit(req, {
+      action: 'banner.toggle_status',
+      entityType: 'Banner',
+      entityId: banner._id,
+      changes: { isActive: { before: !banner.isActive, after: banner.isActive } }
+    });
+
     res.status(200).json({
       success: true,
       message: `Banner ${banner.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -414,6 +444,13 @@ export const deleteBannerImage = async (req, res) => {
 
     await banner.save();
 
+    await recordAudit(req, {
+      action: 'banner.image_delete',
+      entityType: 'Banner',
+      entityId: banner._id,
+      changes: { images: { before: imageToDelete.publicId, after: null } }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Image deleted successfully',
@@ -0,0 +1,244 @@
+import Cart from '../models/Cart.js';
+import { buildCartView, checkCartProduct } from '../utils/cart.js';
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// Customer cart when logged in, otherwise the guest cart from X-Cart-Token
+const findCart = async (req) => {
+    if (req.user) {
+        return Cart.findOne({ user: req.user._id });
+    }
+
+    const token = req.headers[CART_TOKEN_HEADER];
+    return token ? Cart.findOne({ guestToken: token }) : null;
+};
+
+const findOrCreateCart = async (req) => {
+    const cart = await findCart(req);
+    if (cart) return cart;
+
+    return req.user ? Cart.findOrCreateForUser(req.user._id) : Cart.createGuestCart();
+};
+
+const sendCart = async (res, cart, { status = 200, message } = {}) => {
+    const view = cart ? await buildCartView(cart) : { items: [], summary: { totalItems: 0, subtotal: 0, totalMRP: 0, totalSavings: 0 } };
+
+    res.status(status).json({
+        success: true,
+        ...(message && { message }),
+        data: {
+            ...view,
+            // Guests must send this back in X-Cart-Token
+            cartToken: cart?.guestToken || null
+        }
+    });
+};
+
+/**
+ * @desc    Get cart with live prices and stock
+ * @route   GET /api/cart
+ * @access  Public (guest token or customer)
+ */
+export const getCart = async (req, res) => {
+    try {
+        const cart = await findCart(req);
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch cart',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Add a product to the cart
+ * @route   POST /api/cart/items
+ * @access  Public (guest token or customer)
+ */
+export const addCartItem = async (req, res) => {
+    try {
+        const { productId } = req.body;
+        const quantity = parseInt(req.body.quantity ?? 1);
+
+        if (!productId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product ID is required'
+            });
+        }
+
+        const cart = await findOrCreateCart(req);
+        const existingQuantity = cart.findItem(productId)?.quantity || 0;
+        const check = await checkCartProduct(productId, existingQuantity + quantity);
+
+        if (check.error) {
+            return res.status(check.status).json({
+                success: false,
+                error: check.error
+            });
+        }
+
+        cart.addItem(productId, quantity, check.product.dmartPrice);
+        cart.touchGuestExpiry();
+        await cart.save();
+
+        await sendCart(res, cart, { status: 201, message: 'Item added to cart' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Add cart item error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add item to cart',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Change the quantity of a cart line (0 removes it)
+ * @route   PUT /api/cart/items/:productId
+ * @access  Public (guest token or customer)
+ */
+export const updateCartItem = async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const quantity = parseInt(req.body.quantity);
+
+        const cart = await findCart(req);
+        const item = cart?.findItem(productId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found in cart'
+            });
+        }
+
+        if (quantity === 0) {
+            cart.removeItem(productId);
+        } else {
+            const check = await checkCartProduct(productId, quantity);
+
+            if (check.error) {
+                return res.status(check.status).json({
+                    success: false,
+                    error: check.error
+                });
+            }
+
+            item.quantity = quantity;
+            item.priceAtAdd = check.product.dmartPrice;
+        }
+
+        cart.touchGuestExpiry();
+        await cart.save();
+
+        await sendCart(res, cart, { message: 'Cart updated' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Update cart item error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update cart',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Remove a product from the cart
+ * @route   DELETE /api/cart/items/:productId
+ * @access  Public (guest token or customer)
+ */
+export const removeCartItem = async (req, res) => {
+    try {
+        const cart = await findCart(req);
+
+        if (!cart?.findItem(req.params.productId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found in cart'
+            });
+        }
+
+        cart.removeItem(req.params.productId);
+        await cart.save();
+
+        await sendCart(res, cart, { message: 'Item removed from cart' });
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove item',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Empty the cart
+ * @route   DELETE /api/cart
+ * @access  Public (guest token or customer)
+ */
+export const clearCart = async (req, res) => {
+    try {
+        const cart = await findCart(req);
+
+        if (cart) {
+            cart.items = [];
+            await cart.save();
+        }
+
+        await sendCart(res, cart, { message: 'Cart cleared' });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clear cart',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Merge a guest cart into the logged-in customer's cart
+ * @route   POST /api/cart/merge
+ * @access  Private (customer)
+ */
+export const mergeCart = async (req, res) => {
+    try {
+        const guestToken = req.body.cartToken || req.headers[CART_TOKEN_HEADER];
+
+        if (!guestToken || typeof guestToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Guest cart token is required'
+            });
+        }
+
+        const cart = await Cart.mergeGuestCart(guestToken, req.user._id);
+        await sendCart(res, cart, { message: 'Cart merged' });
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge cart',
+            message: error.message
+        });
+    }
+};
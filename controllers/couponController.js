@@ -0,0 +1,265 @@
+import Coupon from '../models/Coupon.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import { recordAudit } from '../utils/audit.js';
+import { evaluateCoupon } from '../utils/coupons.js';
+import { calculateOrderSummary } from '../utils/pricing.js';
+
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'minOrderValue', 'maxDiscount',
+    'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+    'applicableCategories', 'applicableBrands', 'isActive'
+];
+
+const pickCouponFields = (body) => {
+    const data = {};
+    for (const field of COUPON_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+};
+
+const couponErrorResponse = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid coupon',
+            errors: Object.values(error.errors).map(e => e.message)
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            error: 'A coupon with this code already exists'
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallback,
+        message: error.message
+    });
+};
+
+// Price the requested products (or the customer's cart) the way createOrder does
+const loadPreviewLines = async (req) => {
+    let requested = req.body.products;
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        const cart = await Cart.findOne({ user: req.user._id });
+        requested = (cart?.items || []).map(item => ({ id: item.productId, quantity: item.quantity }));
+    }
+
+    const products = await Product.find({
+        id: { $in: requested.map(item => item.id) },
+        status: 'active'
+    });
+    const productMap = new Map(products.map(product => [product.id, product]));
+
+    return requested
+        .filter(item => productMap.has(item.id) && Number.isInteger(item.quantity) && item.quantity > 0)
+        .map(item => {
+            const product = productMap.get(item.id);
+            return {
+                productId: product.id,
+                category: product.category,
+                brand: product.brand,
+                mrp: product.mrp,
+                dmartPrice: product.dmartPrice,
+                quantity: item.quantity
+            };
+        });
+};
+
+/**
+ * @desc    Preview a coupon against products or the current cart
+ * @route   POST /api/coupons/apply
+ * @access  Private (customer)
+ */
+export const applyCoupon = async (req, res) => {
+    try {
+        const lines = await loadPreviewLines(req);
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Add products to your cart before applying a coupon'
+            });
+        }
+
+        const result = await evaluateCoupon({
+            code: req.body.code,
+            userId: req.user._id,
+            lines
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const orderSummary = calculateOrderSummary({ lines, coupon: result.pricingCoupon });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                code: result.coupon.code,
+                description: result.coupon.description,
+                discountType: result.coupon.discountType,
+                discountValue: result.coupon.discountValue,
+                couponDiscount: orderSummary.couponDiscount,
+                orderSummary
+            }
+        });
+    } catch (error) {
+        console.error('Apply coupon error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to apply coupon',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List coupons
+ * @route   GET /api/coupons
+ * @access  Private (coupons:manage)
+ */
+export const getCoupons = async (req, res) => {
+    try {
+        const { active } = req.query;
+        const query = {};
+
+        if (active === 'true') query.isActive = true;
+        if (active === 'false') query.isActive = false;
+
+        const coupons = await Coupon.find(query).sort({ createdAt: -1 }).select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: coupons,
+            count: coupons.length
+        });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch coupons',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/coupons
+ * @access  Private (coupons:manage)
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({
+            ...pickCouponFields(req.body),
+            createdBy: req.admin._id
+        });
+
+        await recordAudit(req, {
+            action: 'coupon.create',
+            entityType: 'Coupon',
+            entityId: coupon._id,
+            after: coupon
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    } catch (error) {
+        return couponErrorResponse(res, error, 'Failed to create coupon');
+    }
+};
+
+/**
+ * @desc    Update a coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private (coupons:manage)
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coupon not found'
+            });
+        }
+
+        const before = coupon.toObject();
+        coupon.set(pickCouponFields(req.body));
+        await coupon.save();
+
+        await recordAudit(req, {
+            action: 'coupon.update',
+            entityType: 'Coupon',
+            entityId: coupon._id,
+            before,
+            after: coupon
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    } catch (error) {
+        return couponErrorResponse(res, error, 'Failed to update coupon');
+    }
+};
+
+/**
+ * @desc    Delete a coupon (used coupons are deactivated instead, to keep redemption history)
+ * @route   DELETE /api/coupons/:id
+ * @access  Private (coupons:manage)
+ */
+export const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coupon not found'
+            });
+        }
+
+        if (coupon.usedCount > 0) {
+            coupon.isActive = false;
+            await coupon.save();
+        } else {
+            await coupon.deleteOne();
+        }
+
+        await recordAudit(req, {
+            action: coupon.usedCount > 0 ? 'coupon.deactivate' : 'coupon.delete',
+            entityType: 'Coupon',
+            entityId: coupon._id,
+            before: coupon
+        });
+
+        res.status(200).json({
+            success: true,
+            message: coupon.usedCount > 0
+                ? 'Coupon has been used and was deactivated instead of deleted'
+                : 'Coupon deleted successfully',
+            data: { id: coupon._id, code: coupon.code }
+        });
+    } catch (error) {
+        return couponErrorResponse(res, error, 'Failed to delete coupon');
+    }
+};
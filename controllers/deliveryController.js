@@ -0,0 +1,683 @@
+import DeliveryZone from '../models/DeliveryZone.js';
+import ServiceablePincode from '../models/ServiceablePincode.js';
+import DeliverySlot from '../models/DeliverySlot.js';
+import SlotBooking from '../models/SlotBooking.js';
+import { recordAudit } from '../utils/audit.js';
+import { parseCsv } from '../utils/csv.js';
+import { resolveDeliveryZone } from '../utils/delivery.js';
+import { checkSlotDate, listAvailableSlots } from '../utils/deliverySlots.js';
+import { PINCODE_REGEX } from '../utils/address.js';
+
+const ZONE_FIELDS = ['name', 'deliveryFee', 'freeDeliveryThreshold', 'codAvailable', 'estimatedDeliveryDays', 'isActive'];
+const PINCODE_FIELDS = ['pincode', 'zone', 'city', 'state', 'isActive'];
+const SLOT_FIELDS = ['zone', 'label', 'startTime', 'endTime', 'daysOfWeek', 'capacity', 'cutoffMinutes', 'isActive'];
+const MAX_IMPORT_ROWS = 20000;
+
+const pickFields = (body, fields) => {
+    const data = {};
+    for (const field of fields) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+};
+
+const deliveryErrorResponse = (res, error, fallback) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            error: error.errors
+                ? Object.values(error.errors).map(e => e.message).join(', ')
+                : error.message
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            error: 'An entry with this value already exists'
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallback,
+        message: error.message
+    });
+};
+
+/**
+ * @desc    Check whether a pincode is serviceable
+ * @route   GET /api/delivery/check/:pincode
+ * @access  Public
+ */
+export const checkPincode = async (req, res) => {
+    try {
+        const result = await resolveDeliveryZone(req.params.pincode);
+
+        if (result.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        // An unserviceable pincode is a normal answer, not an error
+        if (result.error) {
+            return res.status(200).json({
+                success: true,
+                serviceable: false,
+                message: result.error
+            });
+        }
+
+        const { pincode, zone } = result;
+
+        res.status(200).json({
+            success: true,
+            serviceable: true,
+            data: {
+                pincode: pincode.pincode,
+                city: pincode.city,
+                state: pincode.state,
+                zone: zone.name,
+                deliveryFee: zone.deliveryFee,
+                freeDeliveryThreshold: zone.freeDeliveryThreshold,
+                codAvailable: zone.codAvailable,
+                estimatedDeliveryDays: zone.estimatedDeliveryDays
+            }
+        });
+    } catch (error) {
+        console.error('Pincode check error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check pincode',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List delivery zones with their pincode counts
+ * @route   GET /api/delivery/zones
+ * @access  Private (delivery:manage)
+ */
+export const getZones = async (req, res) => {
+    try {
+        const zones = await DeliveryZone.find().sort({ name: 1 }).select('-__v').lean();
+        const counts = await ServiceablePincode.aggregate([
+            { $group: { _id: '$zone', count: { $sum: 1 } } }
+        ]);
+        const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+
+        res.status(200).json({
+            success: true,
+            data: zones.map(zone => ({ ...zone, pincodeCount: countMap.get(String(zone._id)) || 0 }))
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to fetch delivery zones');
+    }
+};
+
+/**
+ * @desc    Create a delivery zone
+ * @route   POST /api/delivery/zones
+ * @access  Private (delivery:manage)
+ */
+export const createZone = async (req, res) => {
+    try {
+        const zone = await DeliveryZone.create(pickFields(req.body, ZONE_FIELDS));
+
+        await recordAudit(req, {
+            action: 'delivery_zone.create',
+            entityType: 'DeliveryZone',
+            entityId: zone._id,
+            after: zone
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Delivery zone created successfully',
+            data: zone
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to create delivery zone');
+    }
+};
+
+/**
+ * @desc    Update a delivery zone
+ * @route   PUT /api/delivery/zones/:id
+ * @access  Private (delivery:manage)
+ */
+export const updateZone = async (req, res) => {
+    try {
+        const zone = await DeliveryZone.findById(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery zone not found'
+            });
+        }
+
+        const before = zone.toObject();
+        zone.set(pickFields(req.body, ZONE_FIELDS));
+        await zone.save();
+
+        await recordAudit(req, {
+            action: 'delivery_zone.update',
+            entityType: 'DeliveryZone',
+            entityId: zone._id,
+            before,
+            after: zone
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery zone updated successfully',
+            data: zone
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to update delivery zone');
+    }
+};
+
+/**
+ * @desc    Delete a delivery zone that no pincode uses
+ * @route   DELETE /api/delivery/zones/:id
+ * @access  Private (delivery:manage)
+ */
+export const deleteZone = async (req, res) => {
+    try {
+        const zone = await DeliveryZone.findById(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery zone not found'
+            });
+        }
+
+        const pincodeCount = await ServiceablePincode.countDocuments({ zone: zone._id });
+
+        if (pincodeCount > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Zone still has ${pincodeCount} pincodes. Move or remove them first.`
+            });
+        }
+
+        await zone.deleteOne();
+
+        await recordAudit(req, {
+            action: 'delivery_zone.delete',
+            entityType: 'DeliveryZone',
+            entityId: zone._id,
+            before: zone
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery zone deleted successfully',
+            data: { id: zone._id, name: zone.name }
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to delete delivery zone');
+    }
+};
+
+/**
+ * @desc    List serviceable pincodes
+ * @route   GET /api/delivery/pincodes
+ * @access  Private (delivery:manage)
+ */
+export const getPincodes = async (req, res) => {
+    try {
+        const { zone, search, page = 1, limit = 50 } = req.query;
+        const query = {};
+
+        if (zone) query.zone = zone;
+        if (search) query.pincode = { $regex: `^${String(search).replace(/\D/g, '')}` };
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+        const [pincodes, total] = await Promise.all([
+            ServiceablePincode.find(query)
+                .populate('zone', 'name')
+                .sort({ pincode: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v'),
+            ServiceablePincode.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: pincodes,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to fetch pincodes');
+    }
+};
+
+/**
+ * @desc    Add a serviceable pincode
+ * @route   POST /api/delivery/pincodes
+ * @access  Private (delivery:manage)
+ */
+export const addPincode = async (req, res) => {
+    try {
+        const data = pickFields(req.body, PINCODE_FIELDS);
+
+        if (!data.zone || !(await DeliveryZone.exists({ _id: data.zone }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid delivery zone is required'
+            });
+        }
+
+        const pincode = await ServiceablePincode.create(data);
+
+        await recordAudit(req, {
+            action: 'pincode.create',
+            entityType: 'ServiceablePincode',
+            entityId: pincode._id,
+            after: pincode
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Pincode added successfully',
+            data: pincode
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to add pincode');
+    }
+};
+
+/**
+ * @desc    Update a serviceable pincode
+ * @route   PUT /api/delivery/pincodes/:pincode
+ * @access  Private (delivery:manage)
+ */
+export const updatePincode = async (req, res) => {
+    try {
+        const pincode = await ServiceablePincode.findOne({ pincode: req.params.pincode });
+
+        if (!pincode) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pincode not found'
+            });
+        }
+
+        const data = pickFields(req.body, PINCODE_FIELDS);
+        delete data.pincode;
+
+        if (data.zone && !(await DeliveryZone.exists({ _id: data.zone }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid delivery zone is required'
+            });
+        }
+
+        const before = pincode.toObject();
+        pincode.set(data);
+        await pincode.save();
+
+        await recordAudit(req, {
+            action: 'pincode.update',
+            entityType: 'ServiceablePincode',
+            entityId: pincode._id,
+            before,
+            after: pincode
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Pincode updated successfully',
+            data: pincode
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to update pincode');
+    }
+};
+
+/**
+ * @desc    Remove a serviceable pincode
+ * @route   DELETE /api/delivery/pincodes/:pincode
+ * @access  Private (delivery:manage)
+ */
+export const deletePincode = async (req, res) => {
+    try {
+        const pincode = await ServiceablePincode.findOneAndDelete({ pincode: req.params.pincode });
+
+        if (!pincode) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pincode not found'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'pincode.delete',
+            entityType: 'ServiceablePincode',
+            entityId: pincode._id,
+            before: pincode
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Pincode removed successfully',
+            data: { pincode: pincode.pincode }
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to remove pincode');
+    }
+};
+
+/**
+ * @desc    Import pincodes from CSV (columns: pincode, zone, city, state, active).
+ *          Existing pincodes are updated; zone is matched by name. When a pincode
+ *          is listed twice, the last row wins.
+ * @route   POST /api/delivery/pincodes/import
+ * @access  Private (delivery:manage)
+ */
+export const importPincodes = async (req, res) => {
+    try {
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                error: 'Upload a CSV file (field "file") or send its contents as "csv"'
+            });
+        }
+
+        const rows = parseCsv(text);
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'CSV has no data rows'
+            });
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                error: `CSV cannot have more than ${MAX_IMPORT_ROWS} rows`
+            });
+        }
+
+        const zones = await DeliveryZone.find().select('name');
+        const zoneMap = new Map(zones.map(zone => [zone.name.toLowerCase(), zone._id]));
+
+        const errors = [];
+        const duplicates = [];
+        // One upsert per pincode; a later row for the same pincode replaces the earlier one
+        const byPincode = new Map();
+
+        rows.forEach((row, index) => {
+            // Header is line 1
+            const line = index + 2;
+            const zoneId = zoneMap.get((row.zone || '').toLowerCase());
+
+            if (!PINCODE_REGEX.test(row.pincode || '')) {
+                errors.push({ line, error: `Invalid pincode "${row.pincode || ''}"` });
+                return;
+            }
+
+            if (!zoneId) {
+                errors.push({ line, error: `Unknown zone "${row.zone || ''}"` });
+                return;
+            }
+
+            const isActive = row.active === undefined || row.active === ''
+                ? true
+                : !['false', '0', 'no', 'n'].includes(row.active.toLowerCase());
+
+            const update = { zone: zoneId, isActive };
+            if (row.city) update.city = row.city;
+            if (row.state) update.state = row.state;
+
+            const previous = byPincode.get(row.pincode);
+            if (previous) {
+                duplicates.push({ line: previous.line, pincode: row.pincode, replacedByLine: line });
+            }
+
+            byPincode.set(row.pincode, {
+                line,
+                operation: {
+                    updateOne: {
+                        filter: { pincode: row.pincode },
+                        update: { $set: update },
+                        upsert: true
+                    }
+                }
+            });
+        });
+
+        const operations = [...byPincode.values()].map(entry => entry.operation);
+
+        let created = 0;
+        let updated = 0;
+
+        if (operations.length > 0) {
+            const result = await ServiceablePincode.bulkWrite(operations, { ordered: false });
+            created = result.upsertedCount;
+            updated = result.modifiedCount;
+        }
+
+        await recordAudit(req, {
+            action: 'pincode.import',
+            entityType: 'ServiceablePincode',
+            changes: { rows: rows.length, created, updated, rejected: errors.length, duplicates: duplicates.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Imported ${operations.length} of ${rows.length} rows`,
+            data: {
+                created,
+                updated,
+                unchanged: operations.length - created - updated,
+                rejected: errors.length,
+                duplicates: duplicates.length,
+                errors: errors.slice(0, 100),
+                duplicateRows: duplicates.slice(0, 100)
+            }
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to import pincodes');
+    }
+};
+
+/**
+ * @desc    List delivery slots for a pincode on a date
+ * @route   GET /api/delivery/slots/available?pincode=&date=YYYY-MM-DD
+ * @access  Public
+ */
+export const getAvailableSlots = async (req, res) => {
+    try {
+        const { pincode, date } = req.query;
+        const dateError = checkSlotDate(date);
+
+        if (dateError) {
+            return res.status(400).json({
+                success: false,
+                error: dateError
+            });
+        }
+
+        const delivery = await resolveDeliveryZone(pincode);
+
+        if (delivery.error) {
+            return res.status(delivery.status).json({
+                success: false,
+                error: delivery.error
+            });
+        }
+
+        const slots = await listAvailableSlots(delivery.zone._id, date);
+
+        res.status(200).json({
+            success: true,
+            data: slots
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to fetch delivery slots');
+    }
+};
+
+/**
+ * @desc    List configured delivery slots
+ * @route   GET /api/delivery/slots
+ * @access  Private (delivery:manage)
+ */
+export const getSlots = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.zone) query.zone = req.query.zone;
+
+        const slots = await DeliverySlot.find(query)
+            .populate('zone', 'name')
+            .sort({ zone: 1, startTime: 1 })
+            .select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: slots
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to fetch delivery slots');
+    }
+};
+
+/**
+ * @desc    Create a delivery slot
+ * @route   POST /api/delivery/slots
+ * @access  Private (delivery:manage)
+ */
+export const createSlot = async (req, res) => {
+    try {
+        const data = pickFields(req.body, SLOT_FIELDS);
+
+        if (!data.zone || !(await DeliveryZone.exists({ _id: data.zone }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid delivery zone is required'
+            });
+        }
+
+        const slot = await DeliverySlot.create(data);
+
+        await recordAudit(req, {
+            action: 'delivery_slot.create',
+            entityType: 'DeliverySlot',
+            entityId: slot._id,
+            after: slot
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Delivery slot created successfully',
+            data: slot
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to create delivery slot');
+    }
+};
+
+/**
+ * @desc    Update a delivery slot. Lowering capacity does not cancel existing bookings.
+ * @route   PUT /api/delivery/slots/:id
+ * @access  Private (delivery:manage)
+ */
+export const updateSlot = async (req, res) => {
+    try {
+        const slot = await DeliverySlot.findById(req.params.id);
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery slot not found'
+            });
+        }
+
+        const data = pickFields(req.body, SLOT_FIELDS);
+        // Moving a slot to another zone would strand its bookings
+        delete data.zone;
+
+        const before = slot.toObject();
+        slot.set(data);
+        await slot.save();
+
+        await recordAudit(req, {
+            action: 'delivery_slot.update',
+            entityType: 'DeliverySlot',
+            entityId: slot._id,
+            before,
+            after: slot
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery slot updated successfully',
+            data: slot
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to update delivery slot');
+    }
+};
+
+/**
+ * @desc    Delete a delivery slot (slots with bookings are deactivated instead)
+ * @route   DELETE /api/delivery/slots/:id
+ * @access  Private (delivery:manage)
+ */
+export const deleteSlot = async (req, res) => {
+    try {
+        const slot = await DeliverySlot.findById(req.params.id);
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery slot not found'
+            });
+        }
+
+        const hasBookings = await SlotBooking.exists({ slot: slot._id, bookedCount: { $gt: 0 } });
+
+        if (hasBookings) {
+            slot.isActive = false;
+            await slot.save();
+        } else {
+            await slot.deleteOne();
+        }
+
+        await recordAudit(req, {
+            action: hasBookings ? 'delivery_slot.deactivate' : 'delivery_slot.delete',
+            entityType: 'DeliverySlot',
+            entityId: slot._id,
+            before: slot
+        });
+
+        res.status(200).json({
+            success: true,
+            message: hasBookings
+                ? 'Delivery slot has bookings and was deactivated instead of deleted'
+                : 'Delivery slot deleted successfully',
+            data: { id: slot._id }
+        });
+    } catch (error) {
+        return deliveryErrorResponse(res, error, 'Failed to delete delivery slot');
+    }
+};
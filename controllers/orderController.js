@@ -1,5 +1,68 @@
+import mongoose from 'mongoose';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import Settings from '../models/Setting.js';
+import Transaction from '../models/Transaction.js';
+import Refund from '../models/Refund.js';
+import Shipment from '../models/Shipment.js';
+import { recordAudit } from '../utils/audit.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validateAddress, toDeliveryAddress } from '../utils/address.js';
+import { calculateOrderSummary, findSummaryMismatches } from '../utils/pricing.js';
+import { decrementStock, restockOrder } from '../utils/inventory.js';
+import { evaluateCoupon, redeemCoupon, releaseCoupon } from '../utils/coupons.js';
+import { resolveDeliveryZone } from '../utils/delivery.js';
+import { validateSlotRequest, reserveSlot, releaseSlot } from '../utils/deliverySlots.js';
+import { calculateOrderTax } from '../utils/tax.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { nextNumber } from '../utils/numbering.js';
+import { buildOrderFilter, buildOrderSort } from '../utils/orderSearch.js';
+import { toCsvLine } from '../utils/csv.js';
+import { toTrackingView } from '../utils/shipments.js';
+import {
+    ORDER_STATUSES,
+    actorFromRequest,
+    buildTrackingSteps,
+    canTransition,
+    changeOrderStatus
+} from '../utils/orderStatus.js';
+
+// Admins need orders:read; customers may only see their own orders
+const canViewOrders = (req, ownerId) => {
+    if (req.admin) {
+        return !req.admin.mustChangePassword && req.admin.hasPermission(PERMISSIONS.ORDERS_READ);
+    }
+    return !!req.user && !!ownerId && req.user._id.equals(ownerId);
+};
+
+// Set only through the shipments API, which records the carrier and proof of delivery
+const SHIPMENT_STATUSES = ['shipped', 'delivered'];
+
+// Invoices are issued once an order is confirmed and never for cancelled ones
+const INVOICEABLE_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+// Give the order its invoice number on first request. The counter and the
+// order update share a transaction, so concurrent requests cannot burn numbers.
+const ensureInvoiceNumber = async (order) => {
+    if (order.invoice?.number) return order;
+
+    await mongoose.connection.transaction(async (session) => {
+        const current = await Order.findById(order._id).session(session);
+
+        if (!current.invoice?.number) {
+            current.invoice = {
+                number: await nextNumber('invoice', session),
+                issuedAt: new Date()
+            };
+            await current.save({ session });
+        }
+
+        order.invoice = current.invoice;
+    });
+
+    return order;
+};
 
 // ✅ REMOVED getCardType function - Not needed anymore
 
@@ -7,8 +70,7 @@ import Product from '../models/Product.js';
 export const createOrder = async (req, res) => {
     try {
         const {
-            userId,
-            deliveryAddress,
+            addressId,
             // ✅ REMOVED cardDetails
             products,
             orderSummary,
@@ -18,13 +80,70 @@ export const createOrder = async (req, res) => {
         } = req.body;
 
         // ✅ UPDATED VALIDATION - Removed cardDetails
-        if (!deliveryAddress || !products || !orderSummary) {
+        if ((!addressId && !req.body.deliveryAddress) || !products) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required order information'
             });
         }
 
+        // Resolve the delivery address: a saved address id or a full address object
+        let sourceAddress = req.body.deliveryAddress;
+
+        if (addressId) {
+            sourceAddress = req.user.addresses.id(addressId);
+
+            if (!sourceAddress) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Saved address not found'
+                });
+            }
+        }
+
+        const addressErrors = validateAddress(sourceAddress);
+
+        if (addressErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid delivery address',
+                errors: addressErrors
+            });
+        }
+
+        const deliveryAddress = toDeliveryAddress(sourceAddress);
+
+        // Only serviceable pincodes are accepted; their zone sets the delivery charges
+        const delivery = await resolveDeliveryZone(deliveryAddress.pincode);
+
+        if (delivery.error) {
+            return res.status(delivery.status).json({
+                success: false,
+                error: delivery.error
+            });
+        }
+
+        if (paymentMethod === 'cod' && !delivery.zone.codAvailable) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cash on delivery is not available for this pincode'
+            });
+        }
+
+        // Optional delivery slot ({ slotId, date }) - capacity is reserved with the order below
+        let slotRequest = null;
+
+        if (req.body.deliverySlot) {
+            slotRequest = await validateSlotRequest(req.body.deliverySlot, delivery.zone._id);
+
+            if (slotRequest.error) {
+                return res.status(slotRequest.status).json({
+                    success: false,
+                    error: slotRequest.error
+                });
+            }
+        }
+
         // Validate products array
         if (!Array.isArray(products) || products.length === 0) {
             return res.status(400).json({
@@ -33,16 +152,18 @@ export const createOrder = async (req, res) => {
             });
         }
 
-        // Generate order number manually
-        const timestamp = Date.now().toString();
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        const orderNumber = `ORD${timestamp}${random}`;
-
         // ✅ REMOVED all card processing code
 
         // Validate and process products
         const processedProducts = [];
         for (const product of products) {
+            if (!Number.isInteger(product.quantity) || product.quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid quantity for product ${product.id}`
+                });
+            }
+
             // Verify product exists in database
             const existingProduct = await Product.findOne({ id: product.id, status: 'active' });
 
@@ -53,7 +174,7 @@ export const createOrder = async (req, res) => {
                 });
             }
 
-            // Check stock availability
+            // Early, friendly stock check - the authoritative one is the atomic decrement below
             if (existingProduct.stockQuantity < product.quantity) {
                 return res.status(400).json({
                     success: false,
@@ -75,30 +196,141 @@ export const createOrder = async (req, res) => {
                 quantity: product.quantity,
                 totalPrice: existingProduct.dmartPrice * product.quantity,
                 isVeg: existingProduct.isVeg,
-                rating: existingProduct.rating
+                rating: existingProduct.rating,
+                hsnCode: existingProduct.hsnCode,
+                gstRate: existingProduct.gstRate
+            });
+        }
+
+        // Coupons are validated on the server; the client only sends the code
+        const couponCode = req.body.couponCode || couponUsed?.code;
+        let couponResult = null;
+
+        if (couponCode) {
+            couponResult = await evaluateCoupon({
+                code: couponCode,
+                userId: req.user._id,
+                lines: processedProducts
             });
 
-            // Update stock quantity (optional - uncomment if you want to reduce stock)
-            // await Product.findOneAndUpdate(
-            //   { id: product.id },
-            //   { $inc: { stockQuantity: -product.quantity } }
-            // );
+            if (couponResult.error) {
+                return res.status(couponResult.status).json({
+                    success: false,
+                    error: couponResult.error
+                });
+            }
+        }
+
+        // Totals are always derived on the server; the client's orderSummary is only checked
+        const computedSummary = calculateOrderSummary({
+            lines: processedProducts,
+            coupon: couponResult?.pricingCoupon,
+            deliveryRules: delivery.zone.toDeliveryRules()
+        });
+        const mismatches = findSummaryMismatches(orderSummary, computedSummary);
+        const flagMismatches = process.env.ORDER_TOTAL_MISMATCH === 'flag';
+
+        if (mismatches.length > 0 && !flagMismatches) {
+            return res.status(409).json({
+                success: false,
+                error: 'Order totals do not match current prices. Please review your order.',
+                mismatches,
+                orderSummary: computedSummary
+            });
         }
 
+        // GST breakdown, fixed at placement for filing. The registry's state for the
+        // pincode is preferred over the free-text address as place of supply.
+        const settings = await Settings.getSettings();
+        const storeState = settings.storeState || process.env.STORE_STATE || '';
+        const placeOfSupply = delivery.pincode.state || deliveryAddress.state;
+        const tax = calculateOrderTax({
+            lines: processedProducts,
+            couponDiscount: computedSummary.couponDiscount,
+            eligibleProductIds: couponResult?.pricingCoupon.eligibleProductIds,
+            deliveryFee: computedSummary.deliveryFee,
+            deliveryGstRate: settings.deliveryGstRate,
+            storeState,
+            placeOfSupply
+        });
+
+        tax.lines.forEach(({ productId, ...lineTax }, index) => {
+            Object.assign(processedProducts[index], lineTax);
+        });
+
         // ✅ Create new order WITHOUT cardDetails
         const newOrder = new Order({
-            orderNumber: orderNumber,
-            userId: userId || null,
+            userId: req.user._id,
             deliveryAddress,
+            deliveryZone: delivery.zone._id,
+            ...(slotRequest && {
+                deliverySlot: {
+                    slot: slotRequest.slot._id,
+                    date: slotRequest.date,
+                    startTime: slotRequest.slot.startTime,
+                    endTime: slotRequest.slot.endTime
+                }
+            }),
             // ✅ REMOVED cardDetails
             products: processedProducts,
-            orderSummary,
-            couponUsed: couponUsed || {},
+            orderSummary: { ...computedSummary, ...tax.totals },
+            tax: {
+                supplyType: tax.supplyType,
+                storeState,
+                placeOfSupply,
+                gstin: settings.gstin,
+                delivery: tax.delivery
+            },
+            ...(mismatches.length > 0 && {
+                pricingReview: {
+                    flagged: true,
+                    submittedSummary: orderSummary,
+                    mismatches
+                }
+            }),
+            couponUsed: couponResult
+                ? {
+                    code: couponResult.coupon.code,
+                    discount: couponResult.coupon.discountValue,
+                    discountType: couponResult.coupon.discountType
+                }
+                : {},
             paymentMethod: paymentMethod || 'online', // ✅ Changed default from 'card' to 'online'
             dataSource: dataSource || 'cart'
         });
 
-        const savedOrder = await newOrder.save();
+        // Stock decrement, coupon redemption, slot booking and order creation commit or roll back together
+        let savedOrder;
+        await mongoose.connection.transaction(async (session) => {
+            await decrementStock(processedProducts, session);
+            newOrder.stockDeducted = true;
+
+            if (slotRequest) {
+                await reserveSlot(slotRequest, session);
+            }
+
+            // Numbered inside the transaction so an aborted order does not use up a number
+            newOrder.orderNumber = await nextNumber('order', session);
+            savedOrder = await newOrder.save({ session });
+
+            if (couponResult) {
+                await redeemCoupon({
+                    coupon: couponResult.coupon,
+                    userId: req.user._id,
+                    order: savedOrder,
+                    discount: computedSummary.couponDiscount,
+                    session
+                });
+            }
+        });
+
+        // Ordered lines leave the server-side cart
+        if (savedOrder.dataSource === 'cart') {
+            await Cart.updateOne(
+                { user: req.user._id },
+                { $pull: { items: { productId: { $in: processedProducts.map(p => p.productId) } } } }
+            );
+        }
 
         res.status(201).json({
             success: true,
@@ -109,12 +341,30 @@ export const createOrder = async (req, res) => {
                 status: savedOrder.status,
                 finalTotal: savedOrder.orderSummary.finalTotal,
                 productCount: savedOrder.products.length,
+                deliverySlot: slotRequest ? savedOrder.deliverySlot : null,
                 createdAt: savedOrder.createdAt
             }
         });
 
     } catch (error) {
         console.error('Order creation error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                productId: error.productId
+            });
+        }
+
+        // Store configuration problem (e.g. no store state for GST), logged above
+        if (error.status === 503) {
+            return res.status(503).json({
+                success: false,
+                error: 'Orders cannot be placed right now. Please try again later.'
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Failed to create order',
@@ -123,25 +373,46 @@ export const createOrder = async (req, res) => {
     }
 };
 
-// Get all orders with product details
+// Get all orders with product details. Supports search, filters and sorting
+// (see utils/orderSearch.js for the query parameters).
 export const getAllOrders = async (req, res) => {
     try {
         const { userId } = req.params;
-        const { status, page = 1, limit = 10 } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
 
-        let query = {};
+        const { filter, error } = buildOrderFilter(req.query);
 
-        if (userId) {
-            query.userId = userId;
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
         }
 
-        if (status) {
-            query.status = status;
+        let query = filter;
+
+        if (userId) {
+            if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid user ID format'
+                });
+            }
+
+            if (!canViewOrders(req, userId)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You are not allowed to view these orders'
+                });
+            }
+
+            query.userId = userId;
         }
 
         const orders = await Order.find(query)
-            .sort({ createdAt: -1 })
-            .limit(limit * 1)
+            .sort(buildOrderSort(req.query))
+            .limit(limit)
             .skip((page - 1) * limit)
             .select('-__v');
 
@@ -151,7 +422,7 @@ export const getAllOrders = async (req, res) => {
             success: true,
             data: orders,
             pagination: {
-                currentPage: parseInt(page),
+                currentPage: page,
                 totalPages: Math.ceil(totalOrders / limit),
                 totalOrders,
                 hasNextPage: page < Math.ceil(totalOrders / limit),
@@ -169,6 +440,119 @@ export const getAllOrders = async (req, res) => {
     }
 };
 
+// Columns of the order CSV export: [header, value getter]
+const EXPORT_COLUMNS = [
+    ['Order Number', order => order.orderNumber],
+    ['Order Date', order => order.createdAt],
+    ['Status', order => order.status],
+    ['Payment Method', order => order.paymentMethod],
+    ['Payment Status', order => order.paymentStatus],
+    ['Customer Name', order => order.deliveryAddress?.fullName],
+    ['Phone', order => order.deliveryAddress?.phone],
+    ['Address', order => order.deliveryAddress?.address],
+    ['City', order => order.deliveryAddress?.city],
+    ['State', order => order.deliveryAddress?.state],
+    ['Pincode', order => order.deliveryAddress?.pincode],
+    ['Slot Date', order => order.deliverySlot?.date],
+    ['Slot Time', order => (order.deliverySlot?.startTime ? `${order.deliverySlot.startTime}-${order.deliverySlot.endTime}` : '')],
+    ['Items', order => order.orderSummary?.totalItems],
+    ['Products', order => (order.products || []).map(p => `${p.name} x${p.quantity}`).join('; ')],
+    ['Subtotal', order => order.orderSummary?.subtotal],
+    ['Coupon', order => order.couponUsed?.code],
+    ['Coupon Discount', order => order.orderSummary?.couponDiscount],
+    ['Delivery Fee', order => order.orderSummary?.deliveryFee],
+    ['Taxable Amount', order => order.orderSummary?.taxableAmount],
+    ['CGST', order => order.orderSummary?.cgst],
+    ['SGST', order => order.orderSummary?.sgst],
+    ['IGST', order => order.orderSummary?.igst],
+    ['Total', order => order.orderSummary?.finalTotal],
+    ['Invoice Number', order => order.invoice?.number]
+];
+
+const getExportMaxRows = () => parseInt(process.env.ORDER_EXPORT_MAX_ROWS) || 50000;
+
+// Resolves true once the response drains, false if the connection closes first
+const waitForDrain = (res) => new Promise(resolve => {
+    const onDrain = () => {
+        res.off('close', onClose);
+        resolve(true);
+    };
+    const onClose = () => {
+        res.off('drain', onDrain);
+        resolve(false);
+    };
+
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+});
+
+// Export the filtered orders as CSV (same filters and sorting as getAllOrders)
+export const exportOrders = async (req, res) => {
+    try {
+        const { filter, error } = buildOrderFilter(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const maxRows = getExportMaxRows();
+        const total = await Order.countDocuments(filter);
+
+        if (total > maxRows) {
+            return res.status(400).json({
+                success: false,
+                error: `Export is limited to ${maxRows} orders (${total} match). Narrow the filters, e.g. by date range.`
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'order.export',
+            entityType: 'Order',
+            changes: { filters: req.query, rows: total }
+        });
+
+        const filename = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // BOM so spreadsheet apps read the file as UTF-8
+        res.write('\uFEFF' + toCsvLine(EXPORT_COLUMNS.map(([header]) => header)));
+
+        const cursor = Order.find(filter).sort(buildOrderSort(req.query)).lean().cursor();
+
+        try {
+            for await (const order of cursor) {
+                if (res.destroyed) break;
+
+                const line = toCsvLine(EXPORT_COLUMNS.map(([, getValue]) => getValue(order)));
+
+                // Respect backpressure on large exports; stop if the client goes away
+                if (!res.write(line) && !(await waitForDrain(res))) break;
+            }
+        } finally {
+            await cursor.close();
+        }
+
+        res.end();
+
+    } catch (error) {
+        console.error('Order export error:', error);
+
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export orders',
+            message: error.message
+        });
+    }
+};
+
 // Get single order by ID
 export const getOrderById = async (req, res) => {
     try {
@@ -194,7 +578,8 @@ export const getOrderById = async (req, res) => {
 
         const order = await Order.findById(id).select('-__v');
 
-        if (!order) {
+        // Someone else's order is reported as missing rather than forbidden
+        if (!order || !canViewOrders(req, order.userId)) {
             return res.status(404).json({
                 success: false,
                 error: 'Order not found'
@@ -228,30 +613,48 @@ export const getOrderById = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
-
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+        const { status, note } = req.body;
 
-        if (!validStatuses.includes(status)) {
+        if (!ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid order status'
             });
         }
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            id,
-            { status },
-            { new: true }
-        );
+        if (SHIPMENT_STATUSES.includes(status)) {
+            return res.status(409).json({
+                success: false,
+                error: status === 'shipped'
+                    ? 'Ship orders by creating a shipment (POST /api/shipments)'
+                    : 'Complete deliveries through the shipment (POST /api/shipments/:id/deliver)'
+            });
+        }
+
+        const order = await Order.findById(id);
 
-        if (!updatedOrder) {
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 error: 'Order not found'
             });
         }
 
+        const previousStatus = order.status;
+
+        // Rejects moves the transition graph does not allow (409)
+        const updatedOrder = await changeOrderStatus(order, status, {
+            actor: actorFromRequest(req),
+            note
+        });
+
+        await recordAudit(req, {
+            action: 'order.status_change',
+            entityType: 'Order',
+            entityId: updatedOrder._id,
+            changes: { status: { before: previousStatus, after: updatedOrder.status } }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Order status updated successfully',
@@ -264,6 +667,14 @@ export const updateOrderStatus = async (req, res) => {
 
     } catch (error) {
         console.error('Order status update error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Failed to update order status',
@@ -272,6 +683,188 @@ export const updateOrderStatus = async (req, res) => {
     }
 };
 
+// Get the tracking timeline for an order (owner or admin)
+export const getOrderTimeline = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        const order = await Order.findById(id).select('orderNumber userId status statusHistory createdAt');
+
+        if (!order || !canViewOrders(req, order.userId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        // Customers see who acted by role only; admins also get names
+        const history = order.statusHistory.map(entry => ({
+            status: entry.status,
+            from: entry.from,
+            note: entry.note,
+            changedAt: entry.changedAt,
+            changedBy: req.admin
+                ? entry.changedBy
+                : { actorType: entry.changedBy?.actorType }
+        }));
+
+        const shipment = await Shipment.findOne({ order: order._id });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                steps: buildTrackingSteps(order),
+                history,
+                shipment: shipment ? toTrackingView(shipment) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Order timeline error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch order timeline',
+            message: error.message
+        });
+    }
+};
+
+// Download the tax invoice PDF for an order (owner or admin)
+export const getOrderInvoice = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        const order = await Order.findById(id);
+
+        if (!order || !canViewOrders(req, order.userId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `An invoice is not available for ${order.status} orders`
+            });
+        }
+
+        await ensureInvoiceNumber(order);
+
+        const [settings, transaction] = await Promise.all([
+            Settings.getSettings(),
+            Transaction.findOne({ orderId: order._id, status: 'success' }).sort({ completedAt: -1 })
+        ]);
+
+        const doc = renderInvoicePdf({ order, settings, transaction });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${order.invoice.number}.pdf"`);
+        doc.pipe(res);
+        doc.end();
+
+    } catch (error) {
+        console.error('Order invoice error:', error);
+
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate invoice',
+            message: error.message
+        });
+    }
+};
+
+// Cancel an order as its customer (allowed until it ships)
+export const cancelOrder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        const order = await Order.findById(id);
+
+        if (!order || !req.user._id.equals(order.userId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (!canTransition(order.status, 'cancelled')) {
+            return res.status(409).json({
+                success: false,
+                error: order.status === 'cancelled'
+                    ? 'Order is already cancelled'
+                    : 'Orders can only be cancelled before they are shipped'
+            });
+        }
+
+        await changeOrderStatus(order, 'cancelled', {
+            actor: actorFromRequest(req),
+            note: reason ? `Cancelled by customer: ${String(reason).trim().slice(0, 500)}` : 'Cancelled by customer'
+        });
+
+        const refund = await Refund.findOne({ order: order._id, reason: 'cancellation' }).select('refundNumber amount status method');
+
+        res.status(200).json({
+            success: true,
+            message: refund
+                ? 'Order cancelled. Your refund has been initiated.'
+                : 'Order cancelled successfully',
+            data: {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                refund
+            }
+        });
+
+    } catch (error) {
+        console.error('Order cancel error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel order',
+            message: error.message
+        });
+    }
+};
+
 // Get order by order number
 export const getOrderByNumber = async (req, res) => {
     try {
@@ -279,7 +872,7 @@ export const getOrderByNumber = async (req, res) => {
 
         const order = await Order.findOne({ orderNumber }).select('-__v');
 
-        if (!order) {
+        if (!order || !canViewOrders(req, order.userId)) {
             return res.status(404).json({
                 success: false,
                 error: 'Order not found'
@@ -336,8 +929,32 @@ export const deleteOrder = async (req, res) => {
 
         console.log('Found order to delete:', order.orderNumber);
 
-        // Delete the order
-        await Order.findByIdAndDelete(id);
+        // Delete the order, returning stock, coupon use and slot for orders still in
+        // the warehouse (the ones that could be cancelled); shipped goods are gone
+        await mongoose.connection.transaction(async (session) => {
+            if (canTransition(order.status, 'cancelled')) {
+                await restockOrder(order, session);
+                await releaseCoupon(order, session);
+                await releaseSlot(order, session);
+            }
+
+            // Only delete the order in the status checked above; if it was shipped
+            // or cancelled meanwhile, the whole delete rolls back
+            const deleted = await Order.findOneAndDelete({ _id: order._id, status: order.status }, { session });
+
+            if (!deleted) {
+                const error = new Error('The order was changed by another request. Reload and try again.');
+                error.status = 409;
+                throw error;
+            }
+        });
+
+        await recordAudit(req, {
+            action: 'order.delete',
+            entityType: 'Order',
+            entityId: order._id,
+            before: order
+        });
 
         console.log('Order deleted successfully:', order.orderNumber);
 
@@ -361,6 +978,13 @@ export const deleteOrder = async (req, res) => {
             });
         }
 
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Failed to delete order',
@@ -2,6 +2,7 @@ import crypto from 'crypto';
 import Transaction from '../models/Transaction.js';
 import Order from '../models/Order.js';
 import Settings from '../models/Setting.js';
+import { applyPaymentResultToOrder } from '../utils/orderPayment.js';
 
 // ✅ REMOVED hardcoded UPI - will fetch from database
 // const MERCHANT_UPI = 'mstandwafuelcentre@sbi';
@@ -32,11 +33,11 @@ const createSignature = (payload) => {
 /**
  * @desc    Create payment transaction
  * @route   POST /api/payment/create
- * @access  Public
+ * @access  Private (customer)
  */
 export const createPayment = async (req, res) => {
     try {
-        const { amount, payType, orderId, userId } = req.body;
+        const { amount, payType, orderId } = req.body;
 
         // Validation
         if (!amount || !payType) {
@@ -55,6 +56,16 @@ export const createPayment = async (req, res) => {
             });
         }
 
+        // Payments can only be attached to the customer's own orders
+        if (orderId) {
+            const order = await Order.findById(orderId).select('userId');
+            if (!order || !req.user._id.equals(order.userId)) {
+                return res.status(404).json({
+                    error: 'Order not found'
+                });
+            }
+        }
+
         // Fetch merchant UPI from database
         const settings = await Settings.getSettings();
         const MERCHANT_UPI = settings.merchantUPI;
@@ -178,7 +189,7 @@ export const createPayment = async (req, res) => {
         // Save transaction to database
         const transaction = new Transaction({
             tid: tid,
-            userId: userId || null,
+            userId: req.user._id,
             orderId: orderId || null,
             amount: paymentAmount,
             payType: paymentType,
@@ -237,10 +248,7 @@ export const checkPaymentStatus = async (req, res) => {
 
             // Update order if exists
             if (transaction.orderId) {
-                await Order.findByIdAndUpdate(transaction.orderId, {
-                    paymentStatus: 'failed',
-                    orderStatus: 'cancelled'
-                });
+                await applyPaymentResultToOrder(transaction.orderId, 'expired');
             }
         }
 
@@ -311,18 +319,9 @@ export const verifyPayment = async (req, res) => {
 
         // Update order if exists
         if (transaction.orderId) {
-            const order = await Order.findById(transaction.orderId);
+            const order = await applyPaymentResultToOrder(transaction.orderId, status);
             if (order) {
-                if (status === 'success') {
-                    order.paymentStatus = 'paid';
-                    order.orderStatus = 'confirmed';
-                    console.log(`✅ Order ${order._id} confirmed`);
-                } else if (status === 'failed') {
-                    order.paymentStatus = 'failed';
-                    order.orderStatus = 'cancelled';
-                    console.log(`❌ Order ${order._id} cancelled`);
-                }
-                await order.save();
+                console.log(`📦 Order ${order._id} → ${order.status} (payment ${order.paymentStatus})`);
             }
         }
 
@@ -397,18 +396,9 @@ export const paymentWebhook = async (req, res) => {
 
             // Update order
             if (transaction.orderId) {
-                const order = await Order.findById(transaction.orderId);
+                const order = await applyPaymentResultToOrder(transaction.orderId, status);
                 if (order) {
-                    if (status === 'success') {
-                        order.paymentStatus = 'paid';
-                        order.orderStatus = 'confirmed';
-                        console.log(`✅ Webhook: Order ${order._id} confirmed`);
-                    } else if (status === 'failed') {
-                        order.paymentStatus = 'failed';
-                        order.orderStatus = 'cancelled';
-                        console.log(`❌ Webhook: Order ${order._id} cancelled`);
-                    }
-                    await order.save();
+                    console.log(`📦 Webhook: Order ${order._id} → ${order.status} (payment ${order.paymentStatus})`);
                 }
             }
         } else {
@@ -484,10 +474,7 @@ export const simulatePayment = async (req, res) => {
 
         // Update order
         if (transaction.orderId) {
-            await Order.findByIdAndUpdate(transaction.orderId, {
-                paymentStatus: status === 'success' ? 'paid' : 'failed',
-                orderStatus: status === 'success' ? 'confirmed' : 'cancelled'
-            });
+            await applyPaymentResultToOrder(transaction.orderId, status === 'success' ? 'success' : 'failed');
         }
 
         console.log(`🧪 SIMULATION: Transaction ${tid} → ${status.toUpperCase()}`);
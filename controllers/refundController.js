@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Refund, { REFUND_STATUSES } from '../models/Refund.js';
+import { recordAudit } from '../utils/audit.js';
+import { refundableAmount, syncOrderRefundStatus } from '../utils/refunds.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+/**
+ * @desc    List refunds
+ * @route   GET /api/refunds
+ * @access  Private (refunds:manage)
+ */
+export const getRefunds = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const query = {};
+        if (status) query.status = status;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [refunds, total] = await Promise.all([
+            Refund.find(query)
+                .populate('order', 'orderNumber paymentMethod')
+                .populate('transaction', 'tid upi upiRef amount')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v'),
+            Refund.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: refunds,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get refunds error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refunds',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List refunds for an order
+ * @route   GET /api/refunds/order/:orderId
+ * @access  Private (order owner or admin with orders:read)
+ */
+export const getOrderRefunds = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!/^[0-9a-fA-F]{24}$/.test(orderId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        const order = await Order.findById(orderId).select('userId');
+        const allowed = order && (req.admin
+            ? !req.admin.mustChangePassword && req.admin.hasPermission(PERMISSIONS.ORDERS_READ)
+            : req.user._id.equals(order.userId));
+
+        if (!allowed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        const refunds = await Refund.find({ order: order._id })
+            .sort({ createdAt: -1 })
+            .select(req.admin ? '-__v' : 'refundNumber amount reason method status reference completedAt createdAt');
+
+        res.status(200).json({
+            success: true,
+            data: refunds
+        });
+    } catch (error) {
+        console.error('Get order refunds error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refunds',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Move a refund along (processing, completed with a payout reference, failed)
+ * @route   PUT /api/refunds/:id/status
+ * @access  Private (refunds:manage)
+ */
+export const updateRefundStatus = async (req, res) => {
+    try {
+        const { status, reference, note } = req.body;
+
+        if (!REFUND_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid refund status'
+            });
+        }
+
+        const refund = await Refund.findById(req.params.id);
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                error: 'Refund not found'
+            });
+        }
+
+        if (status === 'completed' && refund.method === 'upi' && !(reference || refund.reference)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A payout reference is required to complete a UPI refund'
+            });
+        }
+
+        const previousStatus = refund.status;
+
+        // Applied before the transaction, which Mongoose may retry
+        refund.transitionTo(status, { note, reference, adminId: req.admin._id });
+
+        await mongoose.connection.transaction(async (session) => {
+            // Only move the refund if it is still in the status it was read in;
+            // of two admins changing it at once, the second gets a 409
+            const claimed = await Refund.updateOne(
+                { _id: refund._id, status: previousStatus },
+                { $set: { status: refund.status } },
+                { session }
+            );
+
+            if (claimed.matchedCount === 0) {
+                const error = new Error(`The refund is no longer ${previousStatus}; it was changed by another request. Reload and try again.`);
+                error.status = 409;
+                throw error;
+            }
+
+            const order = await Order.findById(refund.order).session(session);
+
+            // A failed refund no longer counts against the order, so another
+            // refund may have taken its amount since; retry only what is left
+            if (previousStatus === 'failed' && order) {
+                const refundable = await refundableAmount(order, session);
+
+                if (refund.amount > refundable) {
+                    const error = new Error(
+                        `Only Rs.${Math.max(refundable, 0).toFixed(2)} is left to refund on this order; this refund cannot be retried`
+                    );
+                    error.status = 409;
+                    throw error;
+                }
+            }
+
+            await refund.save({ session });
+
+            if (status === 'completed' && order) {
+                await syncOrderRefundStatus(order, session);
+            }
+        });
+
+        await recordAudit(req, {
+            action: 'refund.status_change',
+            entityType: 'Refund',
+            entityId: refund._id,
+            changes: { status: { before: previousStatus, after: refund.status }, reference: refund.reference }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund updated successfully',
+            data: refund
+        });
+    } catch (error) {
+        console.error('Refund status update error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update refund',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,389 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest, { RETURN_REASONS } from '../models/ReturnRequest.js';
+import { recordAudit } from '../utils/audit.js';
+import { restockLines } from '../utils/inventory.js';
+import { createRefund } from '../utils/refunds.js';
+import { roundMoney } from '../utils/pricing.js';
+
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id || ''));
+
+// Take the order's returns lock for the rest of the transaction
+const lockOrderReturns = (orderId, session) => {
+    return Order.updateOne({ _id: orderId }, { $inc: { returnsVersion: 1 } }, { session });
+};
+
+// First product that claimed plus requested quantities would return more
+// times than it was ordered; returns { productId, name, quantity } or null
+const findOverclaimedLine = (order, claimed, items) => {
+    const requested = new Map(claimed);
+    for (const item of items) {
+        requested.set(item.productId, (requested.get(item.productId) || 0) + item.quantity);
+    }
+
+    const ordered = new Map();
+    for (const line of order.products) {
+        ordered.set(line.productId, (ordered.get(line.productId) || 0) + line.quantity);
+    }
+
+    const line = order.products.find(product => (requested.get(product.productId) || 0) > ordered.get(product.productId));
+    return line ? { productId: line.productId, name: line.name, quantity: ordered.get(line.productId) } : null;
+};
+
+// When the order reached the customer, from its status history
+const deliveredAt = (order) => {
+    const entry = order.statusHistory.find(item => item.status === 'delivered');
+    return entry?.changedAt || order.updatedAt;
+};
+
+/**
+ * @desc    Request a return for delivered items
+ * @route   POST /api/returns
+ * @access  Private (customer)
+ */
+export const createReturnRequest = async (req, res) => {
+    try {
+        const { orderId, items } = req.body;
+
+        if (!isObjectId(orderId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid order ID is required'
+            });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Select at least one item to return'
+            });
+        }
+
+        const order = await Order.findById(orderId);
+
+        if (!order || !req.user._id.equals(order.userId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'delivered') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only delivered orders can be returned'
+            });
+        }
+
+        const windowDays = getReturnWindowDays();
+        if (Date.now() - new Date(deliveredAt(order)).getTime() > windowDays * 86400000) {
+            return res.status(409).json({
+                success: false,
+                error: `Returns are accepted within ${windowDays} days of delivery`
+            });
+        }
+
+        const returnItems = [];
+
+        for (const item of items) {
+            const line = order.products.find(product => product.productId === item.productId);
+
+            if (!line) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Product ${item.productId} is not part of this order`
+                });
+            }
+
+            if (!RETURN_REASONS.includes(item.reason)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Reason must be one of: ${RETURN_REASONS.join(', ')}`
+                });
+            }
+
+            if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Quantity for ${line.name} must be a whole number of at least 1`
+                });
+            }
+
+            // Refund what was actually paid per unit, after the line's coupon share
+            const paidPerUnit = (line.totalPrice - (line.couponShare || 0)) / line.quantity;
+
+            returnItems.push({
+                productId: line.productId,
+                name: line.name,
+                quantity: item.quantity,
+                reason: item.reason,
+                comment: item.comment,
+                refundAmount: roundMoney(paidPerUnit * item.quantity)
+            });
+        }
+
+        // Check against earlier returns and create under the order's returns lock,
+        // so parallel requests cannot both claim the same units
+        let returnRequest;
+        await mongoose.connection.transaction(async (session) => {
+            await lockOrderReturns(order._id, session);
+
+            const claimed = await ReturnRequest.claimedQuantities(order._id, { session });
+            const overclaimed = findOverclaimedLine(order, claimed, returnItems);
+
+            if (overclaimed) {
+                const returnable = Math.max(overclaimed.quantity - (claimed.get(overclaimed.productId) || 0), 0);
+                const error = new Error(`You can return up to ${returnable} of ${overclaimed.name}`);
+                error.status = 400;
+                throw error;
+            }
+
+            [returnRequest] = await ReturnRequest.create([{
+                order: order._id,
+                user: req.user._id,
+                items: returnItems
+            }], { session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Return request submitted',
+            data: returnRequest
+        });
+    } catch (error) {
+        console.error('Create return request error:', error);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to submit return request',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List the customer's return requests
+ * @route   GET /api/returns/mine
+ * @access  Private (customer)
+ */
+export const getMyReturnRequests = async (req, res) => {
+    try {
+        const returns = await ReturnRequest.find({ user: req.user._id })
+            .populate('order', 'orderNumber')
+            .populate('refund', 'refundNumber amount status method')
+            .sort({ createdAt: -1 })
+            .select('-__v -decidedBy');
+
+        res.status(200).json({
+            success: true,
+            data: returns
+        });
+    } catch (error) {
+        console.error('Get return requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch return requests',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List return requests
+ * @route   GET /api/returns
+ * @access  Private (orders:read)
+ */
+export const getReturnRequests = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const query = {};
+        if (status) query.status = status;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(query)
+                .populate('order', 'orderNumber status paymentMethod paymentStatus')
+                .populate('user', 'name phone')
+                .populate('refund', 'refundNumber amount status')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v'),
+            ReturnRequest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: returns,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get return requests error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch return requests',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Approve or reject a return. Approval restocks the items (unless
+ *          restock is false, e.g. for damaged goods) and opens a refund.
+ * @route   PUT /api/returns/:id/decision
+ * @access  Private (orders:update)
+ */
+export const decideReturnRequest = async (req, res) => {
+    try {
+        const { decision, note, restock = true } = req.body;
+
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Decision must be approve or reject'
+            });
+        }
+
+        if (!isObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid return request ID'
+            });
+        }
+
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Return request not found'
+            });
+        }
+
+        if (returnRequest.status !== 'requested') {
+            return res.status(409).json({
+                success: false,
+                error: `Return request is already ${returnRequest.status}`
+            });
+        }
+
+        const order = await Order.findById(returnRequest.order);
+
+        if (decision === 'approve' && !order) {
+            return res.status(404).json({
+                success: false,
+                error: 'The order for this return request no longer exists'
+            });
+        }
+
+        let decided;
+        await mongoose.connection.transaction(async (session) => {
+            // Claim the request: only one concurrent decision can move it out of requested
+            decided = await ReturnRequest.findOneAndUpdate(
+                { _id: returnRequest._id, status: 'requested' },
+                {
+                    $set: {
+                        status: decision === 'approve' ? 'approved' : 'rejected',
+                        adminNote: note,
+                        decidedBy: req.admin._id,
+                        decidedAt: new Date()
+                    }
+                },
+                { new: true, session }
+            );
+
+            if (!decided) {
+                const error = new Error('Return request has already been decided');
+                error.status = 409;
+                throw error;
+            }
+
+            if (decision === 'approve') {
+                // Approved returns must still fit the order, whatever got in meanwhile
+                await lockOrderReturns(order._id, session);
+
+                const approved = await ReturnRequest.claimedQuantities(order._id, {
+                    statuses: ['approved'],
+                    excludeId: decided._id,
+                    session
+                });
+                const overclaimed = findOverclaimedLine(order, approved, decided.items);
+
+                if (overclaimed) {
+                    const error = new Error(`Approving would return more of ${overclaimed.name} than was ordered`);
+                    error.status = 409;
+                    throw error;
+                }
+
+                // Orders placed before stock tracking never took their items out of stock
+                if (restock !== false && restock !== 'false' && order.stockDeducted) {
+                    await restockLines(decided.items, session);
+                    decided.restocked = true;
+                }
+
+                // Delivered COD orders were paid in cash; online orders only when paid
+                const paid = ['paid', 'partially_refunded'].includes(order.paymentStatus) || order.paymentMethod === 'cod';
+
+                if (paid) {
+                    const refund = await createRefund({
+                        order,
+                        amount: decided.totalRefundAmount,
+                        reason: 'return',
+                        returnRequest: decided,
+                        session
+                    });
+                    decided.refund = refund?._id || null;
+                }
+
+                await decided.save({ session });
+            }
+        });
+
+        await recordAudit(req, {
+            action: `return.${decided.status === 'approved' ? 'approve' : 'reject'}`,
+            entityType: 'ReturnRequest',
+            entityId: decided._id,
+            changes: {
+                status: { before: 'requested', after: decided.status },
+                restocked: decided.restocked,
+                refund: decided.refund
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Return request ${decided.status}`,
+            data: decided
+        });
+    } catch (error) {
+        console.error('Return decision error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update return request',
+            message: error.message
+        });
+    }
+};
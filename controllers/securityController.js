@@ -0,0 +1,94 @@
+import Admin from '../models/Admin.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { recordAudit } from '../utils/audit.js';
+
+// @desc    List admin login attempts (failed by default)
+// @route   GET /api/admin/security/login-attempts
+// @access  Private (security:read)
+const getLoginAttempts = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        let query = {};
+
+        if (req.query.success !== 'all') query.success = req.query.success === 'true';
+        if (req.query.username) query.username = req.query.username;
+        if (req.query.ip) query.ip = req.query.ip;
+        if (req.query.reason) query.reason = req.query.reason;
+        if (req.query.from || req.query.to) {
+            query.createdAt = {};
+            if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const attempts = await LoginAttempt.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v');
+
+        const total = await LoginAttempt.countDocuments(query);
+
+        const lockedAdmins = await Admin.find({ lockUntil: { $gt: new Date() } })
+            .select('username name lockUntil lastFailedLoginAt');
+
+        res.status(200).json({
+            success: true,
+            data: attempts,
+            lockedAdmins,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching login attempts',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Lift a temporary lockout on an admin account
+// @route   POST /api/admin/security/unlock/:id
+// @access  Private (security:manage)
+const unlockAdmin = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        const lockedUntil = admin.lockUntil;
+        await admin.resetLoginAttempts();
+
+        await recordAudit(req, {
+            action: 'admin.unlock',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { lockUntil: { before: lockedUntil || null, after: null } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${admin.username} unlocked successfully`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking admin',
+            error: error.message
+        });
+    }
+};
+
+export { getLoginAttempts, unlockAdmin };
@@ -1,4 +1,5 @@
 import Settings from '../models/Setting.js';
+import { recordAudit } from '../utils/audit.js';
 
 /**
  * @desc    Get current settings
@@ -14,7 +15,11 @@ export const getSettings = async (req, res) => {
             data: {
                 merchantUPI: settings.merchantUPI,
                 siteName: settings.siteName,
-                siteEmail: settings.siteEmail
+                siteEmail: settings.siteEmail,
+                gstin: settings.gstin,
+                storeState: settings.storeState,
+                storeAddress: settings.storeAddress,
+                deliveryGstRate: settings.deliveryGstRate
                 // Don't send merchantSecret for security
             }
         });
@@ -31,33 +36,60 @@ export const getSettings = async (req, res) => {
 /**
  * @desc    Update settings
  * @route   PUT /api/settings
- * @access  Admin only (add authentication middleware)
+ * @access  Private (settings:update)
  */
 export const updateSettings = async (req, res) => {
     try {
-        const { merchantUPI, merchantSecret, siteName, siteEmail } = req.body;
+        const {
+            merchantUPI, merchantSecret, siteName, siteEmail,
+            gstin, storeState, storeAddress, deliveryGstRate
+        } = req.body;
 
         const settings = await Settings.getSettings();
+        const before = settings.toObject();
 
         // Update fields if provided
         if (merchantUPI) settings.merchantUPI = merchantUPI;
         if (merchantSecret) settings.merchantSecret = merchantSecret;
         if (siteName) settings.siteName = siteName;
         if (siteEmail) settings.siteEmail = siteEmail;
+        if (gstin !== undefined) settings.gstin = gstin || undefined;
+        if (storeState !== undefined) settings.storeState = storeState;
+        if (storeAddress !== undefined) settings.storeAddress = storeAddress;
+        if (deliveryGstRate !== undefined) settings.deliveryGstRate = parseFloat(deliveryGstRate);
 
         settings.settingsVersion += 1;
         await settings.save();
 
+        await recordAudit(req, {
+            action: 'settings.update',
+            entityType: 'Settings',
+            entityId: settings._id,
+            before,
+            after: settings
+        });
+
         res.status(200).json({
             success: true,
             message: 'Settings updated successfully',
             data: {
                 merchantUPI: settings.merchantUPI,
                 siteName: settings.siteName,
-                siteEmail: settings.siteEmail
+                siteEmail: settings.siteEmail,
+                gstin: settings.gstin,
+                storeState: settings.storeState,
+                storeAddress: settings.storeAddress,
+                deliveryGstRate: settings.deliveryGstRate
             }
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
         console.error('Error updating settings:', error);
         res.status(500).json({
             success: false,
@@ -0,0 +1,618 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Admin from '../models/Admin.js';
+import Shipment from '../models/Shipment.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendSms } from '../utils/smsSender.js';
+import {
+    actorFromRequest,
+    buildTrackingSteps,
+    canTransition,
+    changeOrderStatus,
+    claimStatusChange
+} from '../utils/orderStatus.js';
+import { toTrackingView } from '../utils/shipments.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const AGENT_EVENT_STATUSES = ['out_for_delivery', 'delivery_failed'];
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id || ''));
+
+// Compare phone numbers without country code or formatting
+const lastTenDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Shipment managers handle every shipment; delivery agents only their own
+const canHandleShipment = (req, shipment) => {
+    return req.admin.hasPermission(PERMISSIONS.SHIPMENTS_MANAGE) ||
+        (!!shipment.agent && shipment.agent.equals(req.admin._id));
+};
+
+// Issue a delivery OTP and text it to the customer. SMS failures are logged,
+// not fatal: the OTP can be resent.
+const sendDeliveryOtp = async (shipment, order, { resetAttempts = false } = {}) => {
+    const otp = shipment.issueDeliveryOtp({ resetAttempts });
+    await shipment.save();
+
+    try {
+        await sendSms(
+            order.deliveryAddress.phone,
+            `Your order ${order.orderNumber} is on its way. Share OTP ${otp} with the delivery agent only when you receive it.`
+        );
+    } catch (error) {
+        console.error('Delivery OTP SMS failed:', error);
+    }
+};
+
+// Resolve an in-house delivery agent from an admin id; returns { agent } or { error }
+const findDeliveryAgent = async (agentId) => {
+    if (!isObjectId(agentId)) {
+        return { error: 'A valid agentId is required for in-house delivery' };
+    }
+
+    const agent = await Admin.findById(agentId);
+
+    if (!agent || !agent.isActive || !agent.hasPermission(PERMISSIONS.DELIVERIES_COMPLETE)) {
+        return { error: 'Agent not found or not allowed to complete deliveries' };
+    }
+
+    return { agent };
+};
+
+const loadShipment = async (req, res, { withOtp = false } = {}) => {
+    if (!isObjectId(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid shipment ID'
+        });
+        return null;
+    }
+
+    const query = Shipment.findById(req.params.id);
+    const shipment = await (withOtp ? query.select('+deliveryOtpHash') : query);
+
+    if (!shipment || !canHandleShipment(req, shipment)) {
+        res.status(404).json({
+            success: false,
+            error: 'Shipment not found'
+        });
+        return null;
+    }
+
+    return shipment;
+};
+
+const shipmentErrorResponse = (res, error, fallback) => {
+    if (error.status === 409) {
+        return res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallback,
+        message: error.message
+    });
+};
+
+/**
+ * @desc    Ship an order: assign an agent or courier and mark it shipped
+ * @route   POST /api/shipments
+ * @access  Private (shipments:manage)
+ */
+export const createShipment = async (req, res) => {
+    try {
+        const {
+            orderId, carrierType, agentId, agentPhone, courierName,
+            trackingNumber, trackingUrl, expectedDeliveryDate, note
+        } = req.body;
+
+        if (!['in_house', 'courier'].includes(carrierType)) {
+            return res.status(400).json({
+                success: false,
+                error: 'carrierType must be in_house or courier'
+            });
+        }
+
+        if (!isObjectId(orderId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid order ID is required'
+            });
+        }
+
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (!canTransition(order.status, 'shipped')) {
+            return res.status(409).json({
+                success: false,
+                error: `Only processing orders can be shipped (order is ${order.status})`
+            });
+        }
+
+        if (await Shipment.exists({ order: order._id })) {
+            return res.status(409).json({
+                success: false,
+                error: 'Order already has a shipment'
+            });
+        }
+
+        const data = {
+            order: order._id,
+            carrierType,
+            trackingNumber,
+            trackingUrl,
+            expectedDeliveryDate
+        };
+
+        if (carrierType === 'in_house') {
+            const { agent, error } = await findDeliveryAgent(agentId);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            Object.assign(data, { agent: agent._id, agentName: agent.username, agentPhone });
+        } else {
+            if (!courierName) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'courierName is required for courier shipments'
+                });
+            }
+
+            data.courierName = courierName;
+        }
+
+        const shipment = await Shipment.create(data);
+
+        try {
+            await changeOrderStatus(order, 'shipped', {
+                actor: actorFromRequest(req),
+                note: note || (carrierType === 'courier'
+                    ? `Shipped via ${courierName}${trackingNumber ? ` (${trackingNumber})` : ''}`
+                    : `Assigned to ${data.agentName}`)
+            });
+        } catch (error) {
+            await shipment.deleteOne();
+            throw error;
+        }
+
+        // Courier deliveries are confirmed from the courier's tracking instead
+        if (carrierType === 'in_house') {
+            await sendDeliveryOtp(shipment, order);
+        }
+
+        await recordAudit(req, {
+            action: 'shipment.create',
+            entityType: 'Shipment',
+            entityId: shipment._id,
+            after: shipment
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Order shipped',
+            data: shipment
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to create shipment');
+    }
+};
+
+/**
+ * @desc    List shipments
+ * @route   GET /api/shipments
+ * @access  Private (shipments:manage)
+ */
+export const getShipments = async (req, res) => {
+    try {
+        const { status, agent, page = 1, limit = 20 } = req.query;
+        const query = {};
+
+        if (status) query.status = status;
+        if (agent) query.agent = agent;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [shipments, total] = await Promise.all([
+            Shipment.find(query)
+                .populate('order', 'orderNumber status deliveryAddress.pincode')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v'),
+            Shipment.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: shipments,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to fetch shipments');
+    }
+};
+
+/**
+ * @desc    Open shipments assigned to the signed-in delivery agent
+ * @route   GET /api/shipments/assigned
+ * @access  Private (deliveries:complete)
+ */
+export const getAssignedShipments = async (req, res) => {
+    try {
+        const shipments = await Shipment.find({ agent: req.admin._id, status: { $ne: 'delivered' } })
+            .populate('order', 'orderNumber deliveryAddress deliverySlot paymentMethod paymentStatus orderSummary.finalTotal orderSummary.totalItems')
+            .sort({ expectedDeliveryDate: 1, createdAt: 1 })
+            .select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: shipments
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to fetch assigned shipments');
+    }
+};
+
+/**
+ * @desc    Update tracking details or reassign the agent
+ * @route   PUT /api/shipments/:id
+ * @access  Private (shipments:manage)
+ */
+export const updateShipment = async (req, res) => {
+    try {
+        const shipment = await loadShipment(req, res);
+        if (!shipment) return;
+
+        if (shipment.status === 'delivered') {
+            return res.status(409).json({
+                success: false,
+                error: 'Delivered shipments cannot be changed'
+            });
+        }
+
+        const before = shipment.toObject();
+        const { agentId, agentPhone, courierName, trackingNumber, trackingUrl, expectedDeliveryDate } = req.body;
+
+        if (agentId !== undefined && shipment.carrierType === 'in_house') {
+            const { agent, error } = await findDeliveryAgent(agentId);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            shipment.agent = agent._id;
+            shipment.agentName = agent.username;
+        }
+
+        if (agentPhone !== undefined) shipment.agentPhone = agentPhone;
+        if (courierName !== undefined && shipment.carrierType === 'courier') shipment.courierName = courierName;
+        if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber;
+        if (trackingUrl !== undefined) shipment.trackingUrl = trackingUrl;
+        if (expectedDeliveryDate !== undefined) shipment.expectedDeliveryDate = expectedDeliveryDate;
+
+        await shipment.save();
+
+        await recordAudit(req, {
+            action: 'shipment.update',
+            entityType: 'Shipment',
+            entityId: shipment._id,
+            before,
+            after: shipment
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Shipment updated successfully',
+            data: shipment
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to update shipment');
+    }
+};
+
+/**
+ * @desc    Record progress: out for delivery or a failed attempt
+ * @route   POST /api/shipments/:id/events
+ * @access  Private (assigned agent or shipments:manage)
+ */
+export const addShipmentEvent = async (req, res) => {
+    try {
+        const { status, note, location } = req.body;
+
+        if (!AGENT_EVENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${AGENT_EVENT_STATUSES.join(', ')}`
+            });
+        }
+
+        const shipment = await loadShipment(req, res);
+        if (!shipment) return;
+
+        if (shipment.status === 'delivered') {
+            return res.status(409).json({
+                success: false,
+                error: 'Shipment is already delivered'
+            });
+        }
+
+        shipment.addEvent(status, { note, location, adminId: req.admin._id });
+        await shipment.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Shipment updated',
+            data: toTrackingView(shipment)
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to update shipment');
+    }
+};
+
+// Resend checks shared by the manager and customer endpoints
+const resendOtp = async (res, shipment, order, { resetAttempts }) => {
+    if (shipment.carrierType !== 'in_house' || shipment.status === 'delivered') {
+        return res.status(409).json({
+            success: false,
+            error: 'Delivery OTPs are only used for open in-house shipments'
+        });
+    }
+
+    const waitMs = shipment.deliveryOtpSentAt
+        ? OTP_RESEND_INTERVAL_MS - (Date.now() - shipment.deliveryOtpSentAt.getTime())
+        : 0;
+
+    if (waitMs > 0) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({
+            success: false,
+            error: 'Please wait before sending another OTP'
+        });
+    }
+
+    await sendDeliveryOtp(shipment, order, { resetAttempts });
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery OTP sent to the customer'
+    });
+};
+
+/**
+ * @desc    Send the customer a new delivery OTP and allow fresh attempts
+ *          (e.g. after the agent was locked out)
+ * @route   POST /api/shipments/:id/otp
+ * @access  Private (shipments:manage)
+ */
+export const resendDeliveryOtp = async (req, res) => {
+    try {
+        const shipment = await loadShipment(req, res);
+        if (!shipment) return;
+
+        const order = await Order.findById(shipment.order);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        await resendOtp(res, shipment, order, { resetAttempts: true });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to send delivery OTP');
+    }
+};
+
+/**
+ * @desc    Send the customer a new delivery OTP for their order. Failed
+ *          attempts carry over.
+ * @route   POST /api/shipments/order/:orderId/otp
+ * @access  Private (customer)
+ */
+export const resendMyDeliveryOtp = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const order = isObjectId(orderId) ? await Order.findById(orderId) : null;
+        const shipment = order && req.user._id.equals(order.userId)
+            ? await Shipment.findOne({ order: order._id })
+            : null;
+
+        if (!shipment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Shipment not found'
+            });
+        }
+
+        await resendOtp(res, shipment, order, { resetAttempts: false });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to send delivery OTP');
+    }
+};
+
+/**
+ * @desc    Complete a delivery. In-house deliveries need the customer's OTP;
+ *          courier deliveries are confirmed by a shipment manager.
+ * @route   POST /api/shipments/:id/deliver
+ * @access  Private (assigned agent or shipments:manage)
+ */
+export const completeDelivery = async (req, res) => {
+    try {
+        const { otp, receivedBy, note } = req.body;
+
+        const shipment = await loadShipment(req, res, { withOtp: true });
+        if (!shipment) return;
+
+        if (shipment.status === 'delivered') {
+            return res.status(409).json({
+                success: false,
+                error: 'Shipment is already delivered'
+            });
+        }
+
+        let method = 'otp';
+
+        if (shipment.carrierType === 'in_house') {
+            const check = await shipment.checkDeliveryOtp(otp);
+
+            if (!check.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: check.message
+                });
+            }
+        } else {
+            if (!req.admin.hasPermission(PERMISSIONS.SHIPMENTS_MANAGE)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Courier deliveries are confirmed by a shipment manager'
+                });
+            }
+            method = 'courier_confirmation';
+        }
+
+        const order = await Order.findById(shipment.order);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        const previousStatus = shipment.status;
+        const previousOrderStatus = order.status;
+
+        // Applied before the transaction, which Mongoose may retry (409 if not allowed)
+        order.transitionTo('delivered', {
+            actor: actorFromRequest(req),
+            note: method === 'otp' ? 'Delivered (OTP verified)' : (note || 'Delivered (confirmed by courier)')
+        });
+
+        shipment.addEvent('delivered', { note, adminId: req.admin._id });
+        shipment.proofOfDelivery = {
+            method,
+            receivedBy,
+            note,
+            verifiedBy: req.admin._id,
+            deliveredAt: new Date()
+        };
+        shipment.deliveryOtpHash = undefined;
+
+        // Order and proof of delivery commit together. Claiming the shipment
+        // first makes concurrent completions conflict instead of both landing.
+        await mongoose.connection.transaction(async (session) => {
+            const claimed = await Shipment.updateOne(
+                { _id: shipment._id, status: { $ne: 'delivered' } },
+                { $set: { status: 'delivered' } },
+                { session }
+            );
+
+            if (claimed.modifiedCount === 0) {
+                const error = new Error('Shipment is already delivered');
+                error.status = 409;
+                throw error;
+            }
+
+            await claimStatusChange(order, previousOrderStatus, session);
+            await shipment.save({ session });
+            await order.save({ session });
+        });
+
+        await recordAudit(req, {
+            action: 'shipment.deliver',
+            entityType: 'Shipment',
+            entityId: shipment._id,
+            changes: { status: { before: previousStatus, after: 'delivered' }, method, order: order.orderNumber }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery completed',
+            data: toTrackingView(shipment)
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to complete delivery');
+    }
+};
+
+/**
+ * @desc    Track an order by order number and the delivery phone number
+ * @route   GET /api/shipments/track?orderNumber=&phone=
+ * @access  Public
+ */
+export const trackOrder = async (req, res) => {
+    try {
+        const orderNumber = String(req.query.orderNumber || '').trim();
+        const phone = lastTenDigits(req.query.phone);
+
+        if (!orderNumber || phone.length !== 10) {
+            return res.status(400).json({
+                success: false,
+                error: 'Order number and the 10-digit delivery phone number are required'
+            });
+        }
+
+        const order = await Order.findOne({ orderNumber })
+            .select('orderNumber status statusHistory deliveryAddress.phone deliveryAddress.city deliverySlot createdAt');
+
+        // Same answer for an unknown order and a wrong phone
+        if (!order || lastTenDigits(order.deliveryAddress?.phone) !== phone) {
+            return res.status(404).json({
+                success: false,
+                error: 'No order found for these details'
+            });
+        }
+
+        const shipment = await Shipment.findOne({ order: order._id });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                orderNumber: order.orderNumber,
+                status: order.status,
+                placedAt: order.createdAt,
+                city: order.deliveryAddress.city,
+                deliverySlot: order.deliverySlot?.slot
+                    ? { date: order.deliverySlot.date, startTime: order.deliverySlot.startTime, endTime: order.deliverySlot.endTime }
+                    : null,
+                steps: buildTrackingSteps(order),
+                shipment: shipment ? toTrackingView(shipment) : null
+            }
+        });
+    } catch (error) {
+        return shipmentErrorResponse(res, error, 'Failed to track order');
+    }
+};
@@ -0,0 +1,210 @@
+import Admin from '../models/Admin.js';
+import {
+    generateSecret,
+    findTOTPStep,
+    buildOtpauthUri,
+    generateBackupCodes,
+    hashBackupCode
+} from '../utils/totp.js';
+import { recordAudit } from '../utils/audit.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'DMart Admin';
+
+const findAdminWithSecrets = (id) => {
+    return Admin.findById(id)
+        .select('+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes');
+};
+
+// @desc    Start TOTP enrolment - returns secret and otpauth URI for the QR code
+// @route   POST /api/admin/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+    try {
+        const admin = await findAdminWithSecrets(req.admin._id);
+
+        if (admin.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        admin.twoFactor.pendingSecret = secret;
+        await admin.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri(secret, admin.username, TOTP_ISSUER)
+            },
+            message: 'Scan the code in your authenticator app, then confirm with a code'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error setting up two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Confirm TOTP enrolment with a code from the authenticator app
+// @route   POST /api/admin/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const admin = await findAdminWithSecrets(req.admin._id);
+
+        if (!admin.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'No two-factor setup in progress'
+            });
+        }
+
+        const step = findTOTPStep(admin.twoFactor.pendingSecret, code);
+
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid two-factor authentication code'
+            });
+        }
+
+        const backupCodes = generateBackupCodes();
+
+        admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+        admin.twoFactor.pendingSecret = undefined;
+        admin.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+        admin.twoFactor.enabled = true;
+        admin.twoFactor.enabledAt = new Date();
+        // The confirmation code cannot be used again to log in
+        admin.twoFactor.lastUsedStep = step;
+        await admin.save();
+
+        await recordAudit(req, {
+            action: 'admin.2fa_enable',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { twoFactorEnabled: { before: false, after: true } }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { backupCodes },
+            message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error confirming two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/admin/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and two-factor code are required'
+            });
+        }
+
+        const admin = await findAdminWithSecrets(req.admin._id);
+
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const isMatch = await admin.comparePassword(password);
+        const isValidCode = isMatch && await admin.verifySecondFactor(code);
+
+        if (!isValidCode) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or two-factor code'
+            });
+        }
+
+        admin.twoFactor = { enabled: false };
+        await admin.save();
+
+        await recordAudit(req, {
+            action: 'admin.2fa_disable',
+            entityType: 'Admin',
+            entityId: admin._id,
+            changes: { twoFactorEnabled: { before: true, after: false } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Replace backup codes (invalidates the old set)
+// @route   POST /api/admin/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const admin = await findAdminWithSecrets(req.admin._id);
+
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await admin.useTotpCode(code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor authentication code'
+            });
+        }
+
+        const backupCodes = generateBackupCodes();
+        admin.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+        await admin.save();
+
+        res.status(200).json({
+            success: true,
+            data: { backupCodes },
+            message: 'Backup codes regenerated'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error regenerating backup codes',
+            error: error.message
+        });
+    }
+};
+
+export {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+};
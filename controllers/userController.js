@@ -0,0 +1,204 @@
+import User from '../models/User.js';
+import OtpCode from '../models/OtpCode.js';
+import Cart from '../models/Cart.js';
+import { generateCustomerToken } from '../middleware/auth.js';
+import { sendSms } from '../utils/smsSender.js';
+
+const PHONE_REGEX = /^[6-9]\d{9}$/;
+const OTP_SEND_WINDOW_MS = 15 * 60 * 1000;
+const OTP_SEND_LIMIT = 5;
+
+// Accepts "+91 98765 43210", "098765-43210", ... and returns the 10-digit number
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+const toProfile = (user) => ({
+    id: user._id,
+    phone: user.phone,
+    name: user.name,
+    email: user.email,
+    createdAt: user.createdAt
+});
+
+/**
+ * @desc    Send a login OTP to a phone number
+ * @route   POST /api/user/otp/send
+ * @access  Public
+ */
+export const sendOtp = async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+
+        if (!PHONE_REGEX.test(phone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide a valid 10-digit mobile number'
+            });
+        }
+
+        const recentCount = await OtpCode.countRecent(phone, OTP_SEND_WINDOW_MS);
+
+        if (recentCount >= OTP_SEND_LIMIT) {
+            return res.status(429).json({
+                success: false,
+                error: 'Too many OTP requests. Please try again later.'
+            });
+        }
+
+        const { code, expiresAt } = await OtpCode.issue(phone);
+        const minutes = Math.round((expiresAt - Date.now()) / 60000);
+
+        await sendSms(phone, `${code} is your login OTP. It is valid for ${minutes} minutes. Do not share it with anyone.`);
+
+        res.status(200).json({
+            success: true,
+            message: 'OTP sent successfully',
+            expiresAt
+        });
+    } catch (error) {
+        console.error('Send OTP error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send OTP',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Verify OTP and log in (creates the account on first login)
+ * @route   POST /api/user/otp/verify
+ * @access  Public
+ */
+export const verifyOtp = async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        const { otp } = req.body;
+
+        if (!PHONE_REGEX.test(phone) || !otp) {
+            return res.status(400).json({
+                success: false,
+                error: 'Phone number and OTP are required'
+            });
+        }
+
+        const result = await OtpCode.verify(phone, otp);
+
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                error: result.message
+            });
+        }
+
+        let user = await User.findOne({ phone });
+        const isNewUser = !user;
+
+        if (!user) {
+            user = new User({ phone });
+        }
+
+        if (!user.isActive) {
+            return res.status(403).json({
+                success: false,
+                error: 'This account has been disabled'
+            });
+        }
+
+        await user.updateLastLogin();
+
+        // Carry the shopper's guest cart over to their account
+        const guestCartToken = req.body.cartToken || req.headers['x-cart-token'];
+        if (guestCartToken) {
+            await Cart.mergeGuestCart(guestCartToken, user._id);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            token: generateCustomerToken(user),
+            isNewUser,
+            data: toProfile(user)
+        });
+    } catch (error) {
+        console.error('Verify OTP error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify OTP',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get logged-in customer's profile
+ * @route   GET /api/user/profile
+ * @access  Private (customer)
+ */
+export const getProfile = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: toProfile(req.user)
+    });
+};
+
+/**
+ * @desc    Update name / email
+ * @route   PUT /api/user/profile
+ * @access  Private (customer)
+ */
+export const updateProfile = async (req, res) => {
+    try {
+        const { name, email } = req.body;
+
+        if (name !== undefined) req.user.name = name.trim();
+        if (email !== undefined) req.user.email = email.trim() || undefined;
+
+        await req.user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: toProfile(req.user)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update profile',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Log out of every device
+ * @route   POST /api/user/logout-all
+ * @access  Private (customer)
+ */
+export const logoutAllDevices = async (req, res) => {
+    try {
+        req.user.tokenVersion += 1;
+        await req.user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+};
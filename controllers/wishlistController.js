@@ -0,0 +1,237 @@
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import { checkCartProduct } from '../utils/cart.js';
+
+// Wishlist lines with stock and price-drop flags from the live Product documents
+const buildWishlistView = async (wishlist) => {
+    const productIds = wishlist.items.map(item => item.productId);
+    const products = await Product.find({ id: { $in: productIds } });
+    const productMap = new Map(products.map(product => [product.id, product]));
+
+    return wishlist.items.map(item => {
+        const product = productMap.get(item.productId);
+
+        if (!product || product.status !== 'active') {
+            return {
+                productId: item.productId,
+                addedAt: item.addedAt,
+                available: false,
+                inStock: false,
+                priceDropped: false
+            };
+        }
+
+        return {
+            productId: product.id,
+            name: product.name,
+            brand: product.brand,
+            weight: product.weight,
+            image: product.images[0]?.url || '',
+            mrp: product.mrp,
+            dmartPrice: product.dmartPrice,
+            discountPercent: product.discountPercent,
+            addedAt: item.addedAt,
+            available: true,
+            inStock: product.stockQuantity > 0,
+            priceAtAdd: item.priceAtAdd,
+            priceDropped: product.dmartPrice < item.priceAtAdd,
+            priceDrop: Math.max(item.priceAtAdd - product.dmartPrice, 0)
+        };
+    });
+};
+
+const sendWishlist = async (res, wishlist, { status = 200, message } = {}) => {
+    res.status(status).json({
+        success: true,
+        ...(message && { message }),
+        data: await buildWishlistView(wishlist)
+    });
+};
+
+/**
+ * @desc    Get wishlist
+ * @route   GET /api/wishlist
+ * @access  Private (customer)
+ */
+export const getWishlist = async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOrCreateForUser(req.user._id);
+        await sendWishlist(res, wishlist);
+    } catch (error) {
+        console.error('Get wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch wishlist',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Add a product to the wishlist
+ * @route   POST /api/wishlist/items
+ * @access  Private (customer)
+ */
+export const addWishlistItem = async (req, res) => {
+    try {
+        const { productId } = req.body;
+
+        const product = productId && await Product.findOne({ id: productId, status: 'active' });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found or inactive'
+            });
+        }
+
+        const wishlist = await Wishlist.findOrCreateForUser(req.user._id);
+        wishlist.addItem(product.id, product.dmartPrice);
+        await wishlist.save();
+
+        await sendWishlist(res, wishlist, { status: 201, message: 'Added to wishlist' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Add wishlist item error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add to wishlist',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Remove a product from the wishlist
+ * @route   DELETE /api/wishlist/items/:productId
+ * @access  Private (customer)
+ */
+export const removeWishlistItem = async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+        if (!wishlist?.hasItem(req.params.productId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found in wishlist'
+            });
+        }
+
+        wishlist.removeItem(req.params.productId);
+        await wishlist.save();
+
+        await sendWishlist(res, wishlist, { message: 'Removed from wishlist' });
+    } catch (error) {
+        console.error('Remove wishlist item error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove from wishlist',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Move a wishlist item into the cart
+ * @route   POST /api/wishlist/items/:productId/move-to-cart
+ * @access  Private (customer)
+ */
+export const moveWishlistItemToCart = async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const quantity = parseInt(req.body.quantity ?? 1);
+
+        const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+        if (!wishlist?.hasItem(productId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found in wishlist'
+            });
+        }
+
+        const cart = await Cart.findOrCreateForUser(req.user._id);
+        const existingQuantity = cart.findItem(productId)?.quantity || 0;
+        const check = await checkCartProduct(productId, existingQuantity + quantity);
+
+        if (check.error) {
+            return res.status(check.status).json({
+                success: false,
+                error: check.error
+            });
+        }
+
+        cart.addItem(productId, quantity, check.product.dmartPrice);
+        await cart.save();
+
+        wishlist.removeItem(productId);
+        await wishlist.save();
+
+        await sendWishlist(res, wishlist, { message: 'Moved to cart' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Move to cart error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to move item to cart',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Save a cart line for later (moves it to the wishlist)
+ * @route   POST /api/cart/items/:productId/save-for-later
+ * @access  Private (customer)
+ */
+export const saveCartItemForLater = async (req, res) => {
+    try {
+        const { productId } = req.params;
+
+        const cart = await Cart.findOne({ user: req.user._id });
+        const item = cart?.findItem(productId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found in cart'
+            });
+        }
+
+        const wishlist = await Wishlist.findOrCreateForUser(req.user._id);
+        wishlist.addItem(productId, item.priceAtAdd);
+        await wishlist.save();
+
+        cart.removeItem(productId);
+        await cart.save();
+
+        await sendWishlist(res, wishlist, { message: 'Saved for later' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Save for later error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save item for later',
+            message: error.message
+        });
+    }
+};
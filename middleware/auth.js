@@ -1,14 +1,82 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import Admin from '../models/Admin.js';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+const ADMIN_AUDIENCE = 'admin';
+const CUSTOMER_AUDIENCE = 'customer';
+
+// Customer tokens are signed with their own secret so they can never pass as admin tokens
+const getCustomerSecret = () => process.env.CUSTOMER_JWT_SECRET || `${process.env.JWT_SECRET}:customer`;
+
+const getBearerToken = (req) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        return req.headers.authorization.split(' ')[1];
+    }
+    return null;
+};
+
+// Verify a customer token and load the user; returns null when unusable
+const resolveCustomer = async (token) => {
+    const decoded = jwt.verify(token, getCustomerSecret(), { audience: CUSTOMER_AUDIENCE });
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive || decoded.tv !== user.tokenVersion) {
+        return null;
+    }
+
+    return user;
+};
+
+// Verify an admin token and load the admin; returns { admin, decoded } or { error }
+const resolveAdmin = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: ADMIN_AUDIENCE });
+
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+        return { error: 'Token has been revoked' };
+    }
+
+    const admin = await Admin.findById(decoded.id).select('-password');
+
+    if (!admin || decoded.tv !== admin.tokenVersion) {
+        return { error: 'Invalid admin token' };
+    }
+
+    if (!admin.isActive) {
+        return { error: 'Admin account is deactivated' };
+    }
+
+    return { admin, decoded };
+};
+
+const attachAdmin = (req, { admin, decoded }) => {
+    req.admin = admin;
+    req.token = {
+        jti: decoded.jti,
+        expiresAt: new Date(decoded.exp * 1000)
+    };
+};
+
+const authErrorResponse = (res, error) => {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired token'
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: 'Server error in auth middleware',
+        error: error.message
+    });
+};
 
 // Admin authentication middleware
 const adminAuth = async (req, res, next) => {
     try {
-        let token;
-
-        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-            token = req.headers.authorization.split(' ')[1];
-        }
+        const token = getBearerToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -17,46 +85,163 @@ const adminAuth = async (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const admin = await Admin.findById(decoded.id).select('-password');
+        const result = await resolveAdmin(token);
 
-        if (!admin) {
+        if (result.error) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid admin token'
+                message: result.error
             });
         }
 
-        if (!admin.isActive) {
+        attachAdmin(req, result);
+        next();
+    } catch (error) {
+        return authErrorResponse(res, error);
+    }
+};
+
+// Customer authentication middleware
+const customerAuth = async (req, res, next) => {
+    try {
+        const token = getBearerToken(req);
+
+        if (!token) {
             return res.status(401).json({
                 success: false,
-                message: 'Admin account is deactivated'
+                message: 'Please log in to continue'
             });
         }
 
-        req.admin = admin;
+        const user = await resolveCustomer(token);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid customer token'
+            });
+        }
+
+        req.user = user;
         next();
     } catch (error) {
-        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return authErrorResponse(res, error);
+    }
+};
+
+// Attaches req.user when a valid customer token is sent, otherwise continues as guest
+const optionalCustomerAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (token) {
+        try {
+            req.user = await resolveCustomer(token) || undefined;
+        } catch (error) {
+            req.user = undefined;
+        }
+    }
+
+    next();
+};
+
+// Accepts either an admin or a customer token (sets req.admin or req.user).
+// Controllers decide what each may see.
+const adminOrCustomerAuth = async (req, res, next) => {
+    try {
+        const token = getBearerToken(req);
+
+        if (!token) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid or expired token'
+                message: 'Please log in to continue'
             });
         }
 
-        return res.status(500).json({
+        const { aud } = jwt.decode(token) || {};
+
+        if (aud === ADMIN_AUDIENCE) {
+            const result = await resolveAdmin(token);
+
+            if (result.error) {
+                return res.status(401).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            attachAdmin(req, result);
+            return next();
+        }
+
+        const user = await resolveCustomer(token);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid customer token'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        return authErrorResponse(res, error);
+    }
+};
+
+// Permission middleware - use after adminAuth
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.admin) {
+        return res.status(401).json({
+            success: false,
+            message: 'Access denied. Admin token required.'
+        });
+    }
+
+    if (req.admin.mustChangePassword) {
+        return res.status(403).json({
             success: false,
-            message: 'Server error in auth middleware',
-            error: error.message
+            passwordChangeRequired: true,
+            message: 'You must change your password before continuing'
         });
     }
+
+    const missing = permissions.filter(permission => !req.admin.hasPermission(permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action',
+            required: missing
+        });
+    }
+
+    next();
 };
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token
+const generateToken = (admin) => {
+    return jwt.sign({ id: admin._id, tv: admin.tokenVersion }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+        audience: ADMIN_AUDIENCE,
+        jwtid: crypto.randomUUID()
     });
 };
 
-export { adminAuth, generateToken };
+// Generate customer JWT
+const generateCustomerToken = (user) => {
+    return jwt.sign({ id: user._id, tv: user.tokenVersion }, getCustomerSecret(), {
+        expiresIn: process.env.CUSTOMER_JWT_EXPIRE || '30d',
+        audience: CUSTOMER_AUDIENCE
+    });
+};
+
+export {
+    adminAuth,
+    customerAuth,
+    adminOrCustomerAuth,
+    optionalCustomerAuth,
+    requirePermission,
+    generateToken,
+    generateCustomerToken
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+// Replay protection for POST endpoints, use after customerAuth. When the client
+// sends an Idempotency-Key header, the first response for that key is stored
+// and returned again for retries instead of running the handler twice.
+// Requests without the header are processed normally.
+const idempotent = (name) => async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const scope = `${name}:${req.user?._id || 'guest'}`;
+    const requestHash = hashBody(req.body);
+
+    try {
+        const record = await IdempotencyKey.create({ key, scope, requestHash });
+
+        // Store the first response before it goes out; server errors free the key for a retry
+        const originalJson = res.json.bind(res);
+        let captured = false;
+
+        res.json = (body) => {
+            captured = true;
+            const saved = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+                );
+
+            saved
+                .catch(error => console.error('Idempotency record update failed:', error))
+                .finally(() => originalJson(body));
+
+            return res;
+        };
+
+        // Handler answered without a JSON body, so there is nothing to replay.
+        // Not 'close': a client that times out and disconnects must find the key
+        // still in progress when it retries, while the handler keeps running.
+        res.on('finish', () => {
+            if (!captured) {
+                IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+            }
+        });
+
+        return next();
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error('Idempotency check failed:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to process request',
+                message: error.message
+            });
+        }
+    }
+
+    // The key has been seen before
+    const existing = await IdempotencyKey.findOne({ scope, key });
+
+    if (!existing) {
+        // Expired between the insert and the lookup; treat as a fresh request
+        return idempotent(name)(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+            success: false,
+            error: `${HEADER} was already used for a different request`
+        });
+    }
+
+    if (existing.status === 'in_progress') {
+        return res.status(409).json({
+            success: false,
+            error: 'This request is still being processed. Please wait.'
+        });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+};
+
+export { idempotent };
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLE_NAMES, getRolePermissions } from '../config/roles.js';
+import { findTOTPStep, hashBackupCode } from '../utils/totp.js';
+import { MAX_FAILED_ATTEMPTS, getLockDurationMs } from '../utils/loginProtection.js';
 
 const adminSchema = new mongoose.Schema({
     username: {
@@ -31,16 +35,96 @@ const adminSchema = new mongoose.Schema({
         required: [true, 'Name is required'],
         trim: true
     },
+    role: {
+        type: String,
+        enum: {
+            values: ROLE_NAMES,
+            message: 'Invalid admin role'
+        },
+        // Existing single-admin installs predate roles and keep full access
+        default: 'owner'
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Set for invited admins and after a password reset by another admin
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    // SHA-256 of the emailed reset token; single use
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
     lastLogin: {
         type: Date
     },
     loginCount: {
         type: Number,
         default: 0
+    },
+    // Brute-force protection
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    lockUntil: {
+        type: Date
+    },
+    // Consecutive lockouts, used to grow the lock duration
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    // Bumped on "log out all sessions" - older access tokens stop validating
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Generated during setup, promoted to `secret` once a code is confirmed
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused backup codes
+        backupCodes: {
+            type: [String],
+            select: false
+        },
+        // Last TOTP time step accepted; a code is only good once
+        lastUsedStep: {
+            type: Number,
+            default: null
+        },
+        enabledAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
@@ -56,6 +140,7 @@ adminSchema.pre('save', async function (next) {
 
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
 });
 
@@ -68,10 +153,123 @@ adminSchema.methods.comparePassword = async function (password) {
     return result;
 };
 
+adminSchema.virtual('isLocked').get(function () {
+    return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Permission check against the admin's role
+adminSchema.methods.hasPermission = function (permission) {
+    return getRolePermissions(this.role).includes(permission);
+};
+
+// Invalidate every access token issued so far
+adminSchema.methods.revokeAllTokens = function () {
+    this.tokenVersion += 1;
+    return this.save();
+};
+
+// Check a TOTP code (requires +twoFactor.secret). Each time step is accepted
+// once: recording it is a conditional update, so a captured or replayed code,
+// or one older than the last used, is refused even under concurrent logins.
+adminSchema.methods.useTotpCode = async function (code) {
+    const step = findTOTPStep(this.twoFactor.secret, code);
+    if (step === null) return false;
+
+    const claimed = await this.constructor.updateOne(
+        {
+            _id: this._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return claimed.modifiedCount === 1;
+};
+
+// Check a TOTP code or backup code - requires +twoFactor.secret +twoFactor.backupCodes.
+// Backup codes are single-use: removed with a $pull that only matches while the
+// code is still there, so two parallel logins cannot both use it.
+adminSchema.methods.verifySecondFactor = async function (code) {
+    if (!code) return false;
+
+    if (await this.useTotpCode(code)) {
+        return true;
+    }
+
+    const hashed = hashBackupCode(code);
+
+    if (!(this.twoFactor.backupCodes || []).includes(hashed)) {
+        return false;
+    }
+
+    const claimed = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactor.backupCodes': hashed },
+        { $pull: { 'twoFactor.backupCodes': hashed } }
+    );
+
+    return claimed.modifiedCount === 1;
+};
+
+// Count a failed login and lock the account once the limit is hit
+adminSchema.methods.registerFailedLogin = async function () {
+    const updated = await this.constructor.findByIdAndUpdate(
+        this._id,
+        {
+            $inc: { failedLoginAttempts: 1 },
+            $set: { lastFailedLoginAt: new Date() }
+        },
+        { new: true }
+    );
+
+    if (updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+        updated.lockUntil = new Date(Date.now() + getLockDurationMs(updated.lockCount));
+        updated.lockCount += 1;
+        updated.failedLoginAttempts = 0;
+        await updated.save();
+    }
+
+    return updated;
+};
+
+// Clear lockout state (successful login or manual unlock)
+adminSchema.methods.resetLoginAttempts = function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    this.lockCount = 0;
+    return this.save();
+};
+
+// Create a password reset token, returns the raw token to send out
+adminSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    const minutes = parseInt(process.env.PASSWORD_RESET_MINUTES) || 30;
+
+    this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+    return token;
+};
+
+// Find the admin for a live reset token and clear the token in the same write,
+// so a token replayed in parallel matches nothing the second time
+adminSchema.statics.consumePasswordResetToken = function (token) {
+    return this.findOneAndUpdate(
+        {
+            passwordResetToken: crypto.createHash('sha256').update(token).digest('hex'),
+            passwordResetExpires: { $gt: new Date() }
+        },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+        { new: true }
+    ).select('+password');
+};
+
 // Update login stats
 adminSchema.methods.updateLastLogin = function () {
     this.lastLogin = new Date();
     this.loginCount += 1;
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    this.lockCount = 0;
     return this.save();
 };
 
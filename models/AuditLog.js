@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null,
+        index: true
+    },
+    // Denormalised so entries stay readable after an admin is removed
+    adminUsername: {
+        type: String
+    },
+    // e.g. product.update, order.status_change, settings.update
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    entityType: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: String
+    },
+    // { field: { before, after } } for every changed field
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
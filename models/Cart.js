@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const GUEST_CART_DAYS = 30;
+const MAX_QUANTITY_PER_ITEM = 20;
+
+const cartItemSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+        max: [MAX_QUANTITY_PER_ITEM, `Quantity cannot exceed ${MAX_QUANTITY_PER_ITEM}`]
+    },
+    // Price when the item was added, used to flag price changes
+    priceAtAdd: {
+        type: Number,
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Anonymous carts are identified by a random token sent in X-Cart-Token
+    guestToken: {
+        type: String,
+        default: null
+    },
+    items: [cartItemSchema],
+    // Only set on guest carts
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.methods.findItem = function (productId) {
+    return this.items.find(item => item.productId === productId);
+};
+
+// Add quantity to an existing line or create a new one
+cartSchema.methods.addItem = function (productId, quantity, price) {
+    const existing = this.findItem(productId);
+
+    if (existing) {
+        existing.quantity = Math.min(existing.quantity + quantity, MAX_QUANTITY_PER_ITEM);
+        existing.priceAtAdd = price;
+    } else {
+        this.items.push({ productId, quantity, priceAtAdd: price });
+    }
+};
+
+cartSchema.methods.removeItem = function (productId) {
+    this.items = this.items.filter(item => item.productId !== productId);
+};
+
+cartSchema.methods.touchGuestExpiry = function () {
+    if (this.guestToken) {
+        this.expiresAt = new Date(Date.now() + GUEST_CART_DAYS * 24 * 60 * 60 * 1000);
+    }
+};
+
+cartSchema.statics.createGuestCart = function () {
+    const cart = new this({ guestToken: crypto.randomBytes(24).toString('hex') });
+    cart.touchGuestExpiry();
+    return cart;
+};
+
+// Upserted rather than find-then-save, so two first adds in parallel end up
+// on the same cart instead of one failing on the unique user index
+cartSchema.statics.findOrCreateForUser = function (userId) {
+    return this.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { upsert: true, new: true }
+    );
+};
+
+// Fold a guest cart into the customer's cart and delete the guest cart.
+// The token comes from the request body, so anything but a string (e.g. a
+// {"$ne": null} query operator) is ignored.
+cartSchema.statics.mergeGuestCart = async function (guestToken, userId) {
+    const guestCart = typeof guestToken === 'string' && guestToken
+        ? await this.findOne({ guestToken })
+        : null;
+    const userCart = await this.findOrCreateForUser(userId);
+
+    if (guestCart) {
+        for (const item of guestCart.items) {
+            userCart.addItem(item.productId, item.quantity, item.priceAtAdd);
+        }
+        await userCart.save();
+        await guestCart.deleteOne();
+    }
+
+    return userCart;
+};
+
+export default mongoose.model('Cart', cartSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. invoice numbers). Incremented atomically, so every
+// caller gets a distinct value; inside a transaction an aborted caller's
+// increment is rolled back too, leaving no gaps.
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+    );
+    return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
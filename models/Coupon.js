@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, digits, - and _']
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative'],
+        validate: {
+            validator: function (value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'Percentage discount cannot exceed 100'
+        }
+    },
+    minOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Cap on the discount amount; 0 means no cap
+    maxDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    // Total redemptions allowed across all customers; null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Empty lists mean the coupon applies to every category / brand
+    applicableCategories: [{
+        type: String,
+        trim: true
+    }],
+    applicableBrands: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.methods.isWithinValidity = function (now = new Date()) {
+    if (this.validFrom && this.validFrom > now) return false;
+    if (this.validUntil && this.validUntil < now) return false;
+    return true;
+};
+
+// Whether an order line counts towards this coupon's discount
+couponSchema.methods.appliesToLine = function (line) {
+    const categoryOk = this.applicableCategories.length === 0 ||
+        this.applicableCategories.includes(line.category);
+    const brandOk = this.applicableBrands.length === 0 ||
+        this.applicableBrands.includes(line.brand);
+    return categoryOk && brandOk;
+};
+
+// Claim one use of the global limit; returns null when the coupon is exhausted
+couponSchema.statics.claimUse = function (couponId, session) {
+    return this.findOneAndUpdate(
+        {
+            _id: couponId,
+            isActive: true,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true, session }
+    );
+};
+
+couponSchema.statics.releaseUse = function (couponId, session) {
+    return this.updateOne(
+        { _id: couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+    );
+};
+
+export default mongoose.model('Coupon', couponSchema);
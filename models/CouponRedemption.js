@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// One row per order that used a coupon; drives the per-customer limit
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    discount: {
+        type: Number,
+        required: true
+    },
+    // Released redemptions (cancelled orders) no longer count against limits
+    status: {
+        type: String,
+        enum: ['applied', 'released'],
+        default: 'applied'
+    },
+    releasedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+
+couponRedemptionSchema.statics.countForUser = function (couponId, userId, session) {
+    return this.countDocuments({ coupon: couponId, user: userId, status: 'applied' }).session(session || null);
+};
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
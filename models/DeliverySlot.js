@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring delivery window for a zone, e.g. 07:00-10:00 every day
+const deliverySlotSchema = new mongoose.Schema({
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone',
+        required: [true, 'Delivery zone is required'],
+        index: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [TIME_REGEX, 'Start time must be HH:mm']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [TIME_REGEX, 'End time must be HH:mm'],
+        validate: {
+            validator: function (value) {
+                return !this.startTime || value > this.startTime;
+            },
+            message: 'End time must be after start time'
+        }
+    },
+    // 0 = Sunday ... 6 = Saturday
+    daysOfWeek: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [0, 1, 2, 3, 4, 5, 6]
+    },
+    // Orders per slot per day
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [1, 'Capacity must be at least 1']
+    },
+    // Booking closes this many minutes before the slot starts
+    cutoffMinutes: {
+        type: Number,
+        default: 60,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+deliverySlotSchema.methods.runsOn = function (dayOfWeek) {
+    return this.daysOfWeek.includes(dayOfWeek);
+};
+
+export default mongoose.model('DeliverySlot', deliverySlotSchema);
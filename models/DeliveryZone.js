@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Delivery pricing shared by a group of pincodes
+const deliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        unique: true,
+        trim: true
+    },
+    deliveryFee: {
+        type: Number,
+        required: [true, 'Delivery fee is required'],
+        min: [0, 'Delivery fee cannot be negative']
+    },
+    // Orders at or above this amount (after coupon) ship free; 0 disables free delivery
+    freeDeliveryThreshold: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    codAvailable: {
+        type: Boolean,
+        default: true
+    },
+    estimatedDeliveryDays: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Rules in the shape calculateOrderSummary expects
+deliveryZoneSchema.methods.toDeliveryRules = function () {
+    return {
+        deliveryFee: this.deliveryFee,
+        freeDeliveryThreshold: this.freeDeliveryThreshold
+    };
+};
+
+export default mongoose.model('DeliveryZone', deliveryZoneSchema);
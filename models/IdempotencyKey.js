@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const getTtlHours = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// A client-supplied Idempotency-Key and the response first sent for it
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    // Endpoint and caller the key belongs to, e.g. "createOrder:<userId>"
+    scope: {
+        type: String,
+        required: true
+    },
+    // Fingerprint of the request body; a reused key must carry the same request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed'],
+        default: 'in_progress'
+    },
+    responseStatus: {
+        type: Number
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    ip: {
+        type: String,
+        index: true
+    },
+    userAgent: {
+        type: String
+    },
+    success: {
+        type: Boolean,
+        default: false
+    },
+    reason: {
+        type: String,
+        enum: ['success', 'invalid_username', 'invalid_password', 'invalid_2fa', 'locked', 'inactive', 'ip_blocked']
+    }
+}, {
+    timestamps: true
+});
+
+// Keep 30 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+
+// Failed attempts from an IP inside the window. Requests turned away because
+// the IP was already blocked do not count, or a retrying client would never
+// be let back in.
+const recentFailuresByIp = (ip, windowMs) => ({
+    ip,
+    success: false,
+    reason: { $ne: 'ip_blocked' },
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+});
+
+loginAttemptSchema.statics.countRecentFailuresByIp = function (ip, windowMs) {
+    return this.countDocuments(recentFailuresByIp(ip, windowMs));
+};
+
+// Oldest counted failure in the window, which decides when the block lifts
+loginAttemptSchema.statics.findOldestRecentFailureByIp = function (ip, windowMs) {
+    return this.findOne(recentFailuresByIp(ip, windowMs)).sort({ createdAt: 1 });
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
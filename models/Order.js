@@ -1,17 +1,64 @@
 import mongoose from 'mongoose';
+import { ORDER_STATUSES, ORDER_TRANSITIONS, canTransition } from '../config/orderStatus.js';
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  from: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: null
+  },
+  changedBy: {
+    actorType: {
+      type: String,
+      enum: ['admin', 'customer', 'system'],
+      default: 'system'
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String
+    }
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
-  // User information
+  // User information. Always set for new orders; orders placed before customer
+  // accounts may have none (see utils/migrateOrderUserIds.js)
   userId: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: false,
     index: true
   },
 
+  // Pre-account userId values that were not customer ids, kept by the migration
+  legacyUserId: {
+    type: String
+  },
+
   // Order details
+  // Assigned by the numbering service (utils/numbering.js). Existing databases
+  // need npm run migrate:order-numbers (renumbers duplicates and replaces the
+  // old non-unique orderNumber_1 index) before this index can build.
   orderNumber: {
     type: String,
     required: true,
+    unique: true
   },
 
   // Delivery Address
@@ -48,6 +95,34 @@ const orderSchema = new mongoose.Schema({
     }
   },
 
+  // Zone that priced delivery for the pincode
+  deliveryZone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+
+  // Chosen delivery window (store-local date and times)
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    date: {
+      type: String
+    },
+    startTime: {
+      type: String
+    },
+    endTime: {
+      type: String
+    },
+    // Set once the slot capacity has been given back
+    released: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   // ✅ REMOVED cardDetails schema completely
 
   // Products - Updated to match your Product model
@@ -110,6 +185,34 @@ const orderSchema = new mongoose.Schema({
       min: 0,
       max: 5,
       default: 4.0
+    },
+    // GST breakdown of totalPrice less this line's share of the coupon
+    hsnCode: {
+      type: String
+    },
+    gstRate: {
+      type: Number,
+      default: 0
+    },
+    couponShare: {
+      type: Number,
+      default: 0
+    },
+    taxableValue: {
+      type: Number,
+      default: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
     }
   }],
 
@@ -142,9 +245,83 @@ const orderSchema = new mongoose.Schema({
     finalTotal: {
       type: Number,
       required: true
+    },
+    // Tax contained in finalTotal (prices are GST-inclusive)
+    taxableAmount: {
+      type: Number,
+      default: 0
+    },
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
+    },
+    totalTax: {
+      type: Number,
+      default: 0
     }
   },
 
+  // GST context for the order, fixed at placement
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    storeState: {
+      type: String
+    },
+    placeOfSupply: {
+      type: String
+    },
+    gstin: {
+      type: String
+    },
+    delivery: {
+      sacCode: String,
+      gstRate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number
+    }
+  },
+
+  // Tax invoice, numbered sequentially when first issued
+  invoice: {
+    number: {
+      type: String
+    },
+    issuedAt: {
+      type: Date
+    }
+  },
+
+  // Set when the client's totals disagreed with the server's and the order was
+  // accepted anyway (ORDER_TOTAL_MISMATCH=flag)
+  pricingReview: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    submittedSummary: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    mismatches: [{
+      _id: false,
+      field: String,
+      submitted: Number,
+      expected: Number
+    }]
+  },
+
   // Coupon information
   couponUsed: {
     code: {
@@ -165,10 +342,13 @@ const orderSchema = new mongoose.Schema({
   // Order status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
 
+  // Every status change, oldest first
+  statusHistory: [statusHistorySchema],
+
   // Payment information
   paymentMethod: {
     type: String,
@@ -178,10 +358,31 @@ const orderSchema = new mongoose.Schema({
 
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
 
+  // Bumped by every return request and return decision on the order, inside
+  // their transactions, so concurrent ones conflict instead of both claiming
+  // the same quantities
+  returnsVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // True when placing the order took its quantities out of stock. Orders from
+  // before stock tracking never did, so they are never restocked either.
+  stockDeducted: {
+    type: Boolean,
+    default: false
+  },
+
+  // True once cancelled/deleted quantities have been put back into stock
+  stockRestored: {
+    type: Boolean,
+    default: false
+  },
+
   // Data source
   dataSource: {
     type: String,
@@ -195,20 +396,39 @@ const orderSchema = new mongoose.Schema({
 
 // Index for faster queries
 orderSchema.index({ userId: 1, createdAt: -1 });
-orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
 orderSchema.index({ createdAt: -1 });
 
-// Generate order number before saving
 orderSchema.pre('save', function (next) {
-  if (this.isNew && !this.orderNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.orderNumber = `ORD${timestamp}${random}`;
+  // Seed the timeline with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: { actorType: 'system', name: 'system' } });
   }
   next();
 });
 
+// Apply a status change if the transition graph allows it (does not save)
+orderSchema.methods.transitionTo = function (status, { actor, note } = {}) {
+  if (!canTransition(this.status, status)) {
+    const allowed = ORDER_TRANSITIONS[this.status] || [];
+    const error = new Error(
+      `Cannot change order status from ${this.status} to ${status}` +
+      (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : '. The order is closed.')
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    status,
+    from: this.status,
+    changedBy: actor,
+    note
+  });
+  this.status = status;
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+const hashCode = (phone, code) => {
+    return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+};
+
+const otpCodeSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        index: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    consumedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a new code for the phone, returns the raw 6-digit code and its expiry
+otpCodeSchema.statics.issue = async function (phone) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    // Only the latest code is valid
+    await this.updateMany({ phone, consumedAt: null }, { consumedAt: new Date() });
+    const otp = await this.create({
+        phone,
+        codeHash: hashCode(phone, code),
+        expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    });
+
+    return { code, expiresAt: otp.expiresAt };
+};
+
+// Number of codes sent to a phone inside the window (for send throttling)
+otpCodeSchema.statics.countRecent = function (phone, windowMs) {
+    return this.countDocuments({
+        phone,
+        createdAt: { $gte: new Date(Date.now() - windowMs) }
+    });
+};
+
+// Returns { valid: true } or { valid: false, message }. Attempts and
+// consumption are conditional updates, so parallel guesses cannot go past
+// MAX_VERIFY_ATTEMPTS and a code can only be used once.
+otpCodeSchema.statics.verify = async function (phone, code) {
+    const otp = await this.findOne({ phone, consumedAt: null }).sort({ createdAt: -1 });
+
+    if (!otp || otp.expiresAt <= new Date()) {
+        return { valid: false, message: 'OTP expired or not found. Please request a new one.' };
+    }
+
+    // Use up an attempt before comparing
+    const claimed = await this.updateOne(
+        { _id: otp._id, consumedAt: null, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+        { $inc: { attempts: 1 } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return { valid: false, message: 'Too many incorrect attempts. Please request a new OTP.' };
+    }
+
+    const expected = Buffer.from(otp.codeHash);
+    const received = Buffer.from(hashCode(phone, String(code).trim()));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, message: 'Invalid OTP' };
+    }
+
+    const consumed = await this.updateOne(
+        { _id: otp._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+    );
+
+    if (consumed.modifiedCount === 0) {
+        return { valid: false, message: 'OTP expired or not found. Please request a new one.' };
+    }
+
+    return { valid: true };
+};
+
+export default mongoose.model('OtpCode', otpCodeSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { GST_RATES } from '../utils/tax.js';
 
 const productSchema = new mongoose.Schema({
     id: {
@@ -69,6 +70,20 @@ const productSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // GST classification used for order tax breakdowns
+    hsnCode: {
+        type: String,
+        trim: true,
+        match: [/^(\d{4}|\d{6}|\d{8})$/, 'HSN code must be 4, 6 or 8 digits']
+    },
+    gstRate: {
+        type: Number,
+        enum: {
+            values: GST_RATES,
+            message: `GST rate must be one of ${GST_RATES.join(', ')}`
+        },
+        default: 0
+    },
     rating: {
         type: Number,
         min: [0, 'Rating cannot be less than 0'],
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true,
+        index: true
+    },
+    // Only the SHA-256 of the token is stored; the raw value lives on the client
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // All tokens rotated from the same login share a family
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: String,
+        default: null
+    },
+    createdByIp: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Issue a new refresh token, returns the raw token string
+refreshTokenSchema.statics.issue = async function (adminId, { family, ip, userAgent, token = generateToken() } = {}) {
+    await this.create({
+        admin: adminId,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        createdByIp: ip,
+        userAgent
+    });
+
+    return token;
+};
+
+refreshTokenSchema.statics.findByToken = function (token) {
+    return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Exchange a refresh token for a new one. Presenting an already rotated
+// token means it leaked, so the whole family is revoked.
+refreshTokenSchema.statics.rotate = async function (token, { ip, userAgent } = {}) {
+    const existing = await this.findByToken(token);
+
+    if (!existing) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    const reuseDetected = async () => {
+        await this.updateMany(
+            { family: existing.family, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+        return { error: 'Refresh token reuse detected. All sessions for this login were revoked.' };
+    };
+
+    if (existing.revokedAt) {
+        return reuseDetected();
+    }
+
+    if (existing.expiresAt <= new Date()) {
+        return { error: 'Refresh token expired' };
+    }
+
+    // Revoke first, conditionally: of two concurrent refreshes with the same
+    // token only one matches, and the other is treated as reuse
+    const newToken = generateToken();
+    const claimed = await this.findOneAndUpdate(
+        { _id: existing._id, revokedAt: null },
+        { revokedAt: new Date(), replacedBy: hashToken(newToken) }
+    );
+
+    if (!claimed) {
+        return reuseDetected();
+    }
+
+    await this.issue(existing.admin, { family: existing.family, ip, userAgent, token: newToken });
+
+    return { adminId: existing.admin, token: newToken };
+};
+
+refreshTokenSchema.statics.revokeToken = function (token, adminId) {
+    return this.updateOne(
+        { tokenHash: hashToken(token), admin: adminId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+refreshTokenSchema.statics.revokeAllForAdmin = function (adminId) {
+    return this.updateMany(
+        { admin: adminId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+export const REFUND_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+// Allowed moves for Refund.status; failed refunds can be retried
+export const REFUND_TRANSITIONS = {
+    pending: ['processing', 'completed', 'failed'],
+    processing: ['completed', 'failed'],
+    failed: ['processing'],
+    completed: []
+};
+
+const refundSchema = new mongoose.Schema({
+    refundNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    // Empty for orders placed before customer accounts
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Payment being refunded; empty for cash on delivery orders
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund amount must be positive']
+    },
+    reason: {
+        type: String,
+        enum: ['cancellation', 'return'],
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['upi', 'cash'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: REFUND_STATUSES,
+        default: 'pending',
+        index: true
+    },
+    // Payout reference (e.g. the UPI reference of the refund transfer)
+    reference: {
+        type: String,
+        trim: true
+    },
+    history: [{
+        status: {
+            type: String,
+            enum: REFUND_STATUSES
+        },
+        note: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+refundSchema.pre('save', function (next) {
+    if (this.isNew && this.history.length === 0) {
+        this.history.push({ status: this.status });
+    }
+    next();
+});
+
+// Apply a status change if allowed (does not save); throws a 409 error otherwise
+refundSchema.methods.transitionTo = function (status, { note, adminId, reference } = {}) {
+    if (!(REFUND_TRANSITIONS[this.status] || []).includes(status)) {
+        const error = new Error(`Cannot change refund status from ${this.status} to ${status}`);
+        error.status = 409;
+        throw error;
+    }
+
+    this.status = status;
+    if (reference) this.reference = reference;
+    if (status === 'completed') this.completedAt = new Date();
+    this.history.push({ status, note, changedBy: adminId });
+};
+
+// Total already refunded or on its way for an order (failed refunds excluded)
+refundSchema.statics.committedAmount = async function (orderId, session) {
+    const [result] = await this.aggregate([
+        { $match: { order: orderId, status: { $ne: 'failed' } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session || null);
+    return result?.total || 0;
+};
+
+export default mongoose.model('Refund', refundSchema);
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['damaged', 'wrong_item', 'expired', 'quality', 'missing_item', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // What the customer paid for these units, net of coupon
+    refundAmount: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'At least one item is required'
+        }
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected'],
+        default: 'requested',
+        index: true
+    },
+    adminNote: {
+        type: String,
+        trim: true
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    decidedAt: {
+        type: Date
+    },
+    restocked: {
+        type: Boolean,
+        default: false
+    },
+    refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+returnRequestSchema.virtual('totalRefundAmount').get(function () {
+    return this.items.reduce((sum, item) => sum + item.refundAmount, 0);
+});
+
+// Quantities per product already claimed by returns on an order (open and
+// approved ones by default), optionally leaving one request out
+returnRequestSchema.statics.claimedQuantities = async function (orderId, { statuses = ['requested', 'approved'], excludeId, session } = {}) {
+    const match = { order: orderId, status: { $in: statuses } };
+    if (excludeId) match._id = { $ne: excludeId };
+
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.productId', quantity: { $sum: '$items.quantity' } } }
+    ]).session(session || null);
+    return new Map(rows.map(row => [row._id, row.quantity]));
+};
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
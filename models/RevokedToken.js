@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Denylist of access tokens (by jti) that were logged out before expiring
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    // Matches the JWT's own expiry - no need to keep the entry after that
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+revokedTokenSchema.statics.revoke = function (jti, adminId, expiresAt) {
+    return this.updateOne(
+        { jti },
+        { $setOnInsert: { jti, admin: adminId, expiresAt } },
+        { upsert: true }
+    );
+};
+
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+    if (!jti) return false;
+    return !!(await this.exists({ jti }));
+};
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { PINCODE_REGEX } from '../utils/address.js';
+
+const serviceablePincodeSchema = new mongoose.Schema({
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        unique: true,
+        trim: true,
+        match: [PINCODE_REGEX, 'Pincode must be a valid 6-digit Indian pincode']
+    },
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone',
+        required: [true, 'Delivery zone is required'],
+        index: true
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('ServiceablePincode', serviceablePincodeSchema);
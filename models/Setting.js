@@ -13,6 +13,32 @@ const settingsSchema = new mongoose.Schema({
         default: 'my_super_secret_key'
     },
 
+    // Tax Settings
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'GSTIN is not valid']
+    },
+    // Printed on invoices
+    storeAddress: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Decides CGST/SGST versus IGST against the delivery state
+    storeState: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    deliveryGstRate: {
+        type: Number,
+        min: 0,
+        max: 28,
+        default: 18
+    },
+
     // Other Settings (for future expansion)
     siteName: {
         type: String,
@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Wrong guesses allowed per shipment, across every OTP issued for it. Only a
+// shipment manager's resend starts the count again.
+const MAX_OTP_ATTEMPTS = 5;
+
+const getOtpTtlMs = () => (parseInt(process.env.DELIVERY_OTP_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+export const SHIPMENT_STATUSES = ['shipped', 'out_for_delivery', 'delivery_failed', 'delivered'];
+
+const hashOtp = (shipmentId, otp) => {
+    return crypto.createHash('sha256').update(`${shipmentId}:${otp}`).digest('hex');
+};
+
+const shipmentEventSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    // Our own delivery staff (an admin with the delivery_agent role) or a courier
+    carrierType: {
+        type: String,
+        enum: ['in_house', 'courier'],
+        required: true
+    },
+    agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null,
+        index: true
+    },
+    agentName: {
+        type: String,
+        trim: true
+    },
+    agentPhone: {
+        type: String,
+        trim: true
+    },
+    courierName: {
+        type: String,
+        trim: true
+    },
+    trackingNumber: {
+        type: String,
+        trim: true
+    },
+    trackingUrl: {
+        type: String,
+        trim: true
+    },
+    expectedDeliveryDate: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        default: 'shipped',
+        index: true
+    },
+    events: [shipmentEventSchema],
+
+    // Proof of delivery: a one-time code sent to the customer
+    deliveryOtpHash: {
+        type: String,
+        select: false
+    },
+    deliveryOtpSentAt: {
+        type: Date
+    },
+    deliveryOtpExpiresAt: {
+        type: Date
+    },
+    deliveryOtpAttempts: {
+        type: Number,
+        default: 0
+    },
+    proofOfDelivery: {
+        method: {
+            type: String,
+            enum: ['otp', 'courier_confirmation']
+        },
+        receivedBy: {
+            type: String,
+            trim: true
+        },
+        note: {
+            type: String,
+            trim: true
+        },
+        verifiedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        deliveredAt: {
+            type: Date
+        }
+    }
+}, {
+    timestamps: true
+});
+
+shipmentSchema.pre('save', function (next) {
+    if (this.isNew && this.events.length === 0) {
+        this.events.push({ status: this.status });
+    }
+    next();
+});
+
+// Generate a fresh delivery OTP; returns the raw code (does not save).
+// Attempts carry over unless resetAttempts is set (shipment managers only).
+shipmentSchema.methods.issueDeliveryOtp = function ({ resetAttempts = false } = {}) {
+    const otp = crypto.randomInt(0, 10000).toString().padStart(4, '0');
+
+    this.deliveryOtpHash = hashOtp(this._id, otp);
+    this.deliveryOtpSentAt = new Date();
+    this.deliveryOtpExpiresAt = new Date(Date.now() + getOtpTtlMs());
+    if (resetAttempts) this.deliveryOtpAttempts = 0;
+
+    return otp;
+};
+
+// Check a delivery OTP (load with +deliveryOtpHash). Every check atomically
+// uses up one attempt before comparing, so parallel guesses cannot go past
+// MAX_OTP_ATTEMPTS. Returns { valid } or { valid: false, message }.
+shipmentSchema.methods.checkDeliveryOtp = async function (otp) {
+    if (!this.deliveryOtpHash) {
+        return { valid: false, message: 'No delivery OTP has been issued for this shipment' };
+    }
+
+    if (this.deliveryOtpExpiresAt && this.deliveryOtpExpiresAt <= new Date()) {
+        return { valid: false, message: 'Delivery OTP has expired. Ask the customer to request a new one.' };
+    }
+
+    const claimed = await this.constructor.updateOne(
+        { _id: this._id, deliveryOtpAttempts: { $lt: MAX_OTP_ATTEMPTS } },
+        { $inc: { deliveryOtpAttempts: 1 } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return { valid: false, message: 'Too many incorrect attempts. A shipment manager has to send the customer a new OTP.' };
+    }
+
+    const expected = Buffer.from(this.deliveryOtpHash);
+    const received = Buffer.from(hashOtp(this._id, String(otp || '').trim()));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, message: 'Invalid delivery OTP' };
+    }
+
+    return { valid: true };
+};
+
+shipmentSchema.methods.addEvent = function (status, { note, location, adminId } = {}) {
+    this.status = status;
+    this.events.push({ status, note, location, recordedBy: adminId });
+};
+
+export default mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Orders booked into one slot on one date, one document per slot/date
+const slotBookingSchema = new mongoose.Schema({
+    slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliverySlot',
+        required: true
+    },
+    // Store-local calendar date, YYYY-MM-DD
+    date: {
+        type: String,
+        required: true
+    },
+    bookedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+// Create the slot/date document if missing. Call it before the order transaction:
+// a document inserted after the transaction started is invisible to reserve().
+slotBookingSchema.statics.ensure = async function (slotId, date) {
+    try {
+        await this.updateOne(
+            { slot: slotId, date },
+            { $setOnInsert: { bookedCount: 0 } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // A concurrent ensure() inserted it first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+// Take one place in the slot (after ensure()); returns false when it is full.
+// The capacity check is part of the update filter, so it is atomic.
+slotBookingSchema.statics.reserve = async function (slot, date, session) {
+    const result = await this.updateOne(
+        { slot: slot._id, date, bookedCount: { $lt: slot.capacity } },
+        { $inc: { bookedCount: 1 } },
+        { session }
+    );
+    return result.modifiedCount === 1;
+};
+
+slotBookingSchema.statics.release = function (slotId, date, session) {
+    return this.updateOne(
+        { slot: slotId, date, bookedCount: { $gt: 0 } },
+        { $inc: { bookedCount: -1 } },
+        { session }
+    );
+};
+
+export default mongoose.model('SlotBooking', slotBookingSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { applyPaymentResultToOrder } from '../utils/orderPayment.js';
 
 
 const transactionSchema = new mongoose.Schema({
@@ -11,7 +12,8 @@ const transactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    default: null
+    default: null,
+    index: true
   },
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -68,7 +70,27 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Expire pending transactions past their window and cancel their unpaid orders
+// (run periodically from server.js)
+transactionSchema.statics.expireOldTransactions = async function () {
+  const expired = await this.find({ status: 'pending', expires: { $lt: new Date() } });
+
+  // One bad transaction or order must not stop the rest of the sweep
+  for (const transaction of expired) {
+    try {
+      transaction.status = 'expired';
+      await transaction.save();
+
+      if (transaction.orderId) {
+        await applyPaymentResultToOrder(transaction.orderId, 'expired');
+      }
+    } catch (error) {
+      console.error(`Error expiring transaction ${transaction.tid}:`, error);
+    }
+  }
 
+  return expired.length;
+};
 
 export default mongoose.model('Transaction', transactionSchema);
 
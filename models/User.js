@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { PINCODE_REGEX, PHONE_REGEX } from '../utils/address.js';
+
+const MAX_ADDRESSES = 10;
+
+const addressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        default: 'Home'
+    },
+    fullName: {
+        type: String,
+        required: [true, 'Full name is required'],
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: [true, 'Phone is required'],
+        trim: true,
+        match: [PHONE_REGEX, 'Please provide a valid 10-digit mobile number']
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        trim: true,
+        match: [PINCODE_REGEX, 'Please provide a valid 6-digit pincode']
+    },
+    address: {
+        type: String,
+        required: [true, 'Address is required'],
+        trim: true
+    },
+    landmark: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required'],
+        trim: true
+    },
+    state: {
+        type: String,
+        required: [true, 'State is required'],
+        trim: true
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+const userSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        unique: true,
+        trim: true,
+        match: [/^[6-9]\d{9}$/, 'Please provide a valid 10-digit mobile number']
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            'Please provide a valid email'
+        ]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    phoneVerifiedAt: {
+        type: Date
+    },
+    lastLogin: {
+        type: Date
+    },
+    loginCount: {
+        type: Number,
+        default: 0
+    },
+    addresses: {
+        type: [addressSchema],
+        validate: {
+            validator: (addresses) => addresses.length <= MAX_ADDRESSES,
+            message: `You can save at most ${MAX_ADDRESSES} addresses`
+        }
+    },
+    // Bumped to invalidate every customer token issued so far
+    tokenVersion: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Make one address the default and clear the flag on the rest
+userSchema.methods.setDefaultAddress = function (addressId) {
+    this.addresses.forEach(address => {
+        address.isDefault = address._id.equals(addressId);
+    });
+};
+
+userSchema.virtual('defaultAddress').get(function () {
+    return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+});
+
+userSchema.methods.updateLastLogin = function () {
+    this.lastLogin = new Date();
+    this.loginCount += 1;
+    if (!this.phoneVerifiedAt) this.phoneVerifiedAt = new Date();
+    return this.save();
+};
+
+export default mongoose.model('User', userSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const MAX_WISHLIST_ITEMS = 200;
+
+const wishlistItemSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: true
+    },
+    // Price when saved, compared with the live price to flag drops
+    priceAtAdd: {
+        type: Number,
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: {
+        type: [wishlistItemSchema],
+        validate: {
+            validator: (items) => items.length <= MAX_WISHLIST_ITEMS,
+            message: `Wishlist cannot hold more than ${MAX_WISHLIST_ITEMS} items`
+        }
+    }
+}, {
+    timestamps: true
+});
+
+wishlistSchema.methods.hasItem = function (productId) {
+    return this.items.some(item => item.productId === productId);
+};
+
+// Adding an item that is already saved is a no-op
+wishlistSchema.methods.addItem = function (productId, price) {
+    if (!this.hasItem(productId)) {
+        this.items.push({ productId, priceAtAdd: price });
+    }
+};
+
+wishlistSchema.methods.removeItem = function (productId) {
+    this.items = this.items.filter(item => item.productId !== productId);
+};
+
+// Upserted so parallel first saves share one wishlist (user is unique)
+wishlistSchema.statics.findOrCreateForUser = function (userId) {
+    return this.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { upsert: true, new: true }
+    );
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
@@ -1,9 +1,15 @@
 import express from 'express';
 import { upload } from '../config/cloudinary.js';
-import { adminAuth } from '../middleware/auth.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
 import {
     adminLogin,
+    refreshAdminToken,
     adminLogout,
+    adminLogoutAll,
+    changePassword,
+    forgotPassword,
+    resetPassword,
     getAdminProfile,
     createProduct,
     getAdminProducts,
@@ -13,25 +19,69 @@ import {
     getAdminStats,
     updateProductRating
 } from '../controllers/adminController.js';
+import {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import { getLoginAttempts, unlockAdmin } from '../controllers/securityController.js';
+import {
+    listAdmins,
+    inviteAdmin,
+    updateAdminRole,
+    deactivateAdmin,
+    reactivateAdmin,
+    resetAdminPassword
+} from '../controllers/adminUserController.js';
+import { getAuditLogs } from '../controllers/auditController.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/login', adminLogin);
+router.post('/refresh', refreshAdminToken);
+router.post('/password/forgot', forgotPassword);
+router.post('/password/reset', resetPassword);
 
 // Protected admin routes
 router.use(adminAuth);
 
 router.post('/logout', adminLogout);
+router.post('/logout-all', adminLogoutAll);
 router.get('/profile', getAdminProfile);
-router.get('/stats', getAdminStats);
+router.put('/password', changePassword);
+
+// Two-factor authentication
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/confirm', confirmTwoFactor);
+router.post('/2fa/disable', disableTwoFactor);
+router.post('/2fa/backup-codes', regenerateBackupCodes);
+
+// Login security
+router.get('/security/login-attempts', requirePermission(PERMISSIONS.SECURITY_READ), getLoginAttempts);
+router.post('/security/unlock/:id', requirePermission(PERMISSIONS.SECURITY_MANAGE), unlockAdmin);
+
+// Admin user management
+const canManageAdmins = requirePermission(PERMISSIONS.ADMINS_MANAGE);
+router.get('/users', canManageAdmins, listAdmins);
+router.post('/users', canManageAdmins, inviteAdmin);
+router.put('/users/:id/role', canManageAdmins, updateAdminRole);
+router.patch('/users/:id/deactivate', canManageAdmins, deactivateAdmin);
+router.patch('/users/:id/reactivate', canManageAdmins, reactivateAdmin);
+router.post('/users/:id/reset-password', canManageAdmins, resetAdminPassword);
+
+// Audit trail
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), getAuditLogs);
+
+router.get('/stats', requirePermission(PERMISSIONS.DASHBOARD_READ), getAdminStats);
 
 // Product management routes
-router.get('/products', getAdminProducts);
-router.post('/products', upload.array('images', 5), createProduct);
-router.get('/products/:id', getAdminProduct);
-router.put('/products/:id', upload.array('images', 5), updateProduct);
-router.patch('/products/:id/rating', updateProductRating); // New route for rating updates
-router.delete('/products/:id', deleteProduct);
+router.get('/products', requirePermission(PERMISSIONS.PRODUCTS_READ), getAdminProducts);
+router.post('/products', requirePermission(PERMISSIONS.PRODUCTS_WRITE), upload.array('images', 5), createProduct);
+router.get('/products/:id', requirePermission(PERMISSIONS.PRODUCTS_READ), getAdminProduct);
+router.put('/products/:id', requirePermission(PERMISSIONS.PRODUCTS_WRITE), upload.array('images', 5), updateProduct);
+router.patch('/products/:id/rating', requirePermission(PERMISSIONS.PRODUCTS_WRITE), updateProductRating); // New route for rating updates
+router.delete('/products/:id', requirePermission(PERMISSIONS.PRODUCTS_DELETE), deleteProduct);
 
 export default router;
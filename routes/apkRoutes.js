@@ -5,13 +5,14 @@ import {
     getApkStatus,
     downloadApk
 } from '../controllers/apkController.js';
-import { adminAuth } from '../middleware/auth.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const upload = multer({ dest: 'uploads/', limits: { fileSize: 50 * 1024 * 1024 } }); // 50 MB
 const router = express.Router();
 
 router.get('/status', getApkStatus);                       // public
 router.get('/download', downloadApk);                        // public
-router.post('/upload', adminAuth, upload.single('apk'), uploadApk); // admin
+router.post('/upload', adminAuth, requirePermission(PERMISSIONS.APK_UPLOAD), upload.single('apk'), uploadApk); // admin
 
 export default router;
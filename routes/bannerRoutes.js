@@ -9,9 +9,13 @@ import {
   deleteBannerImage
 } from '../controllers/bannerController.js';
 import { uploadBanners } from '../config/cloudinary.js'; // Updated import
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
+const canWriteBanners = [adminAuth, requirePermission(PERMISSIONS.BANNERS_WRITE)];
+
 // Get all banners (public route for frontend)
 router.get('/', getAllBanners);
 
@@ -19,18 +23,18 @@ router.get('/', getAllBanners);
 router.get('/:id', getBannerById);
 
 // Create new banner (admin only) - multiple images
-router.post('/', uploadBanners.array('images', 10), createBanner);
+router.post('/', canWriteBanners, uploadBanners.array('images', 10), createBanner);
 
 // Update banner (admin only) - multiple images
-router.put('/:id', uploadBanners.array('images', 10), updateBanner);
+router.put('/:id', canWriteBanners, uploadBanners.array('images', 10), updateBanner);
 
 // Delete banner (admin only)
-router.delete('/:id', deleteBanner);
+router.delete('/:id', canWriteBanners, deleteBanner);
 
 // Delete specific image from banner
-router.delete('/:id/images/:imageId', deleteBannerImage);
+router.delete('/:id/images/:imageId', canWriteBanners, deleteBannerImage);
 
 // Toggle banner status (admin only)
-router.patch('/:id/toggle', toggleBannerStatus);
+router.patch('/:id/toggle', canWriteBanners, toggleBannerStatus);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    mergeCart
+} from '../controllers/cartController.js';
+import { saveCartItemForLater } from '../controllers/wishlistController.js';
+import { customerAuth, optionalCustomerAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Guests identify their cart with the X-Cart-Token header
+router.get('/', optionalCustomerAuth, getCart);
+router.delete('/', optionalCustomerAuth, clearCart);
+router.post('/items', optionalCustomerAuth, addCartItem);
+router.put('/items/:productId', optionalCustomerAuth, updateCartItem);
+router.delete('/items/:productId', optionalCustomerAuth, removeCartItem);
+
+// Move a cart line to the wishlist
+router.post('/items/:productId/save-for-later', customerAuth, saveCartItemForLater);
+
+// Fold a guest cart into the customer's cart
+router.post('/merge', customerAuth, mergeCart);
+
+export default router;
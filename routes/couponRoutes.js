@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+    applyCoupon,
+    getCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/couponController.js';
+import { adminAuth, customerAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+// Preview a coupon before checkout
+router.post('/apply', customerAuth, applyCoupon);
+
+// Coupon management
+const canManageCoupons = [adminAuth, requirePermission(PERMISSIONS.COUPONS_MANAGE)];
+
+router.get('/', canManageCoupons, getCoupons);
+router.post('/', canManageCoupons, createCoupon);
+router.put('/:id', canManageCoupons, updateCoupon);
+router.delete('/:id', canManageCoupons, deleteCoupon);
+
+export default router;
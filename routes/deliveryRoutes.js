@@ -0,0 +1,49 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    checkPincode,
+    getZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    getPincodes,
+    addPincode,
+    updatePincode,
+    deletePincode,
+    importPincodes,
+    getAvailableSlots,
+    getSlots,
+    createSlot,
+    updateSlot,
+    deleteSlot
+} from '../controllers/deliveryController.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const uploadCsv = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } }); // 2 MB
+const router = express.Router();
+
+// Public serviceability and slot lookups
+router.get('/check/:pincode', checkPincode);
+router.get('/slots/available', getAvailableSlots);
+
+// Zone and pincode management
+const canManageDelivery = [adminAuth, requirePermission(PERMISSIONS.DELIVERY_MANAGE)];
+
+router.get('/zones', canManageDelivery, getZones);
+router.post('/zones', canManageDelivery, createZone);
+router.put('/zones/:id', canManageDelivery, updateZone);
+router.delete('/zones/:id', canManageDelivery, deleteZone);
+
+router.get('/pincodes', canManageDelivery, getPincodes);
+router.post('/pincodes', canManageDelivery, addPincode);
+router.post('/pincodes/import', canManageDelivery, uploadCsv.single('file'), importPincodes);
+router.put('/pincodes/:pincode', canManageDelivery, updatePincode);
+router.delete('/pincodes/:pincode', canManageDelivery, deletePincode);
+
+router.get('/slots', canManageDelivery, getSlots);
+router.post('/slots', canManageDelivery, createSlot);
+router.put('/slots/:id', canManageDelivery, updateSlot);
+router.delete('/slots/:id', canManageDelivery, deleteSlot);
+
+export default router;
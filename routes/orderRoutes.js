@@ -2,33 +2,52 @@ import express from 'express';
 import {
   createOrder,
   getAllOrders,
+  exportOrders,
   getOrderById,
+  getOrderTimeline,
+  getOrderInvoice,
+  cancelOrder,
   updateOrderStatus,
   getOrderByNumber,
   deleteOrder
 } from '../controllers/orderController.js';
+import { adminAuth, adminOrCustomerAuth, customerAuth, requirePermission } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
-// Create new order
-router.post('/createOrder', createOrder);
+// Create new order (logged-in customers); retries with the same Idempotency-Key return the first order
+router.post('/createOrder', customerAuth, idempotent('createOrder'), createOrder);
 
-// Get all orders (with optional userId, status, pagination)
-router.get('/orders/:userId', getAllOrders);
+// Export filtered orders as CSV (admin only; registered before /orders/:userId)
+router.get('/orders/export', adminAuth, requirePermission(PERMISSIONS.ORDERS_READ), exportOrders);
 
-// Get all orders without userId
-router.get('/orders', getAllOrders);
+// Get a customer's orders (the customer themselves or an admin)
+router.get('/orders/:userId', adminOrCustomerAuth, getAllOrders);
 
-// Get single order by ID
-router.get('/order/:id', getOrderById);
+// Get all orders without userId (admin only)
+router.get('/orders', adminAuth, requirePermission(PERMISSIONS.ORDERS_READ), getAllOrders);
 
-// Get order by order number
-router.get('/order/number/:orderNumber', getOrderByNumber);
+// Get single order by ID (owner or admin)
+router.get('/order/:id', adminOrCustomerAuth, getOrderById);
+
+// Order tracking timeline (owner or admin)
+router.get('/order/:id/timeline', adminOrCustomerAuth, getOrderTimeline);
+
+// Cancel an order before it ships (owner)
+router.post('/order/:id/cancel', customerAuth, cancelOrder);
+
+// Tax invoice PDF (owner or admin)
+router.get('/order/:id/invoice', adminOrCustomerAuth, getOrderInvoice);
+
+// Get order by order number (owner or admin)
+router.get('/order/number/:orderNumber', adminOrCustomerAuth, getOrderByNumber);
 
 // Update order status
-router.put('/order/:id/status', updateOrderStatus);
+router.put('/order/:id/status', adminAuth, requirePermission(PERMISSIONS.ORDERS_UPDATE), updateOrderStatus);
 
 // Delete order
-router.delete('/order/:id', deleteOrder);
+router.delete('/order/:id', adminAuth, requirePermission(PERMISSIONS.ORDERS_DELETE), deleteOrder);
 
 export default router;
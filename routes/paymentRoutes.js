@@ -1,12 +1,14 @@
 import express from 'express';
 import { checkPaymentStatus, createPayment, getMerchantUPI, paymentWebhook, simulatePayment, verifyPayment } from '../controllers/paymentController.js';
+import { customerAuth } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 
 
 const router = express.Router();
 
 
-router.post('/create', createPayment);
+router.post('/create', customerAuth, idempotent('createPayment'), createPayment);
 router.get('/status/:tid', checkPaymentStatus);
 router.post('/verify', verifyPayment);
 router.get('/merchant-upi', getMerchantUPI);
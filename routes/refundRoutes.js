@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    getRefunds,
+    getOrderRefunds,
+    updateRefundStatus
+} from '../controllers/refundController.js';
+import { adminAuth, adminOrCustomerAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+// Refunds of one order (owner or admin)
+router.get('/order/:orderId', adminOrCustomerAuth, getOrderRefunds);
+
+// Refund processing
+router.get('/', adminAuth, requirePermission(PERMISSIONS.REFUNDS_MANAGE), getRefunds);
+router.put('/:id/status', adminAuth, requirePermission(PERMISSIONS.REFUNDS_MANAGE), updateRefundStatus);
+
+export default router;
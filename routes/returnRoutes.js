@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    createReturnRequest,
+    getMyReturnRequests,
+    getReturnRequests,
+    decideReturnRequest
+} from '../controllers/returnController.js';
+import { adminAuth, customerAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+// Customer
+router.post('/', customerAuth, createReturnRequest);
+router.get('/mine', customerAuth, getMyReturnRequests);
+
+// Admin
+router.get('/', adminAuth, requirePermission(PERMISSIONS.ORDERS_READ), getReturnRequests);
+router.put('/:id/decision', adminAuth, requirePermission(PERMISSIONS.ORDERS_UPDATE), decideReturnRequest);
+
+export default router;
@@ -4,14 +4,16 @@ import {
     updateSettings,
     getMerchantUPI
 } from '../controllers/settingController.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
 // Get all settings
 router.get('/', getSettings);
 
-// Update settings (add authentication middleware here)
-router.put('/', updateSettings);
+// Update settings (owner only - controls the merchant UPI)
+router.put('/', adminAuth, requirePermission(PERMISSIONS.SETTINGS_UPDATE), updateSettings);
 
 // Get merchant UPI (public)
 router.get('/merchant-upi', getMerchantUPI);
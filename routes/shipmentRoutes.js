@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+    createShipment,
+    getShipments,
+    getAssignedShipments,
+    updateShipment,
+    addShipmentEvent,
+    resendDeliveryOtp,
+    resendMyDeliveryOtp,
+    completeDelivery,
+    trackOrder
+} from '../controllers/shipmentController.js';
+import { adminAuth, customerAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+// Public tracking by order number + phone
+router.get('/track', trackOrder);
+
+// Customers can ask for a new delivery OTP for their own order
+router.post('/order/:orderId/otp', customerAuth, resendMyDeliveryOtp);
+
+// Shipment management
+const canManageShipments = [adminAuth, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE)];
+// Delivery agents (checked per shipment in the controller)
+const canDeliver = [adminAuth, requirePermission(PERMISSIONS.DELIVERIES_COMPLETE)];
+
+router.get('/', canManageShipments, getShipments);
+router.post('/', canManageShipments, createShipment);
+router.get('/assigned', canDeliver, getAssignedShipments);
+router.put('/:id', canManageShipments, updateShipment);
+router.post('/:id/events', canDeliver, addShipmentEvent);
+router.post('/:id/otp', canManageShipments, resendDeliveryOtp);
+router.post('/:id/deliver', canDeliver, completeDelivery);
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+    sendOtp,
+    verifyOtp,
+    getProfile,
+    updateProfile,
+    logoutAllDevices
+} from '../controllers/userController.js';
+import {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress,
+    setDefaultAddress
+} from '../controllers/addressController.js';
+import { customerAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Phone OTP login (public)
+router.post('/otp/send', sendOtp);
+router.post('/otp/verify', verifyOtp);
+
+// Customer profile
+router.get('/profile', customerAuth, getProfile);
+router.put('/profile', customerAuth, updateProfile);
+router.post('/logout-all', customerAuth, logoutAllDevices);
+
+// Address book
+router.get('/addresses', customerAuth, getAddresses);
+router.post('/addresses', customerAuth, addAddress);
+router.put('/addresses/:addressId', customerAuth, updateAddress);
+router.delete('/addresses/:addressId', customerAuth, deleteAddress);
+router.patch('/addresses/:addressId/default', customerAuth, setDefaultAddress);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    getWishlist,
+    addWishlistItem,
+    removeWishlistItem,
+    moveWishlistItemToCart
+} from '../controllers/wishlistController.js';
+import { customerAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(customerAuth);
+
+router.get('/', getWishlist);
+router.post('/items', addWishlistItem);
+router.delete('/items/:productId', removeWishlistItem);
+router.post('/items/:productId/move-to-cart', moveWishlistItemToCart);
+
+export default router;
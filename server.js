@@ -19,6 +19,14 @@ import bannerRoutes from './routes/bannerRoutes.js';
 import apkRoutes from './routes/apkRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import settingsRoutes from './routes/settingRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import deliveryRoutes from './routes/deliveryRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import shipmentRoutes from './routes/shipmentRoutes.js';
 
 // Import database config
 import connectDB from './config/database.js';
@@ -66,8 +74,9 @@ const corsOptions = {
 
     ],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -165,6 +174,14 @@ app.use('/api/banners', bannerRoutes);
 app.use('/api/apk', apkRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/user', userRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/shipments', shipmentRoutes);
 
 
 // 404 handler for API routes
@@ -256,12 +273,16 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Cleanup expired transactions (run every hour)
+// Cleanup expired transactions and unpaid orders (run every hour)
 setInterval(async () => {
     try {
         const { default: Transaction } = await import('./models/Transaction.js');
         await Transaction.expireOldTransactions();
         console.log('🧹 Expired old pending transactions');
+
+        const { expireUnpaidOrders } = await import('./utils/orderPayment.js');
+        const cancelled = await expireUnpaidOrders();
+        console.log(`🧹 Cancelled ${cancelled} unpaid order(s)`);
     } catch (error) {
         console.error('Error expiring transactions:', error);
     }
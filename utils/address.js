@@ -0,0 +1,39 @@
+export const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+export const PHONE_REGEX = /^[6-9]\d{9}$/;
+
+const REQUIRED_FIELDS = ['fullName', 'phone', 'pincode', 'address', 'city', 'state'];
+
+// Returns a list of problems with an address payload (empty when valid)
+export const validateAddress = (address) => {
+    const errors = [];
+
+    if (!address || typeof address !== 'object') {
+        return ['Address is required'];
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!address[field] || !String(address[field]).trim()) {
+            errors.push(`${field} is required`);
+        }
+    }
+
+    if (address.pincode && !PINCODE_REGEX.test(String(address.pincode).trim())) {
+        errors.push('Pincode must be a valid 6-digit Indian pincode');
+    }
+
+    if (address.phone && !PHONE_REGEX.test(String(address.phone).replace(/\D/g, '').slice(-10))) {
+        errors.push('Phone must be a valid 10-digit mobile number');
+    }
+
+    return errors;
+};
+
+// Copy of an address as stored on an order (independent of later address book edits)
+export const toDeliveryAddress = (address) => ({
+    fullName: String(address.fullName).trim(),
+    phone: String(address.phone).replace(/\D/g, '').slice(-10),
+    pincode: String(address.pincode).trim(),
+    address: [address.address, address.landmark].filter(Boolean).map(part => String(part).trim()).join(', '),
+    city: String(address.city).trim(),
+    state: String(address.state).trim()
+});
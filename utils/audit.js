@@ -0,0 +1,60 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Never written to the audit trail in clear text
+const REDACTED_FIELDS = ['password', 'merchantSecret', 'passwordResetToken', 'secret', 'pendingSecret', 'backupCodes'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (value) => {
+    if (!value) return {};
+    return typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+};
+
+const normalise = (value) => {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value));
+};
+
+// Field-level diff of two documents (top-level fields only)
+export const diffDocuments = (before, after) => {
+    const beforeObj = toPlain(before);
+    const afterObj = toPlain(after);
+    const changes = {};
+
+    const fields = new Set([...Object.keys(beforeObj), ...Object.keys(afterObj)]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const previous = normalise(beforeObj[field]);
+        const next = normalise(afterObj[field]);
+
+        if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { before: '[redacted]', after: '[redacted]' }
+            : { before: previous, after: next };
+    }
+
+    return changes;
+};
+
+// Record an admin mutation. Failures are logged but never break the request.
+// `actor` overrides req.admin for public flows such as password reset.
+export const recordAudit = async (req, { action, entityType, entityId, before, after, changes, actor }) => {
+    const admin = actor || req.admin;
+
+    try {
+        await AuditLog.create({
+            admin: admin?._id || null,
+            adminUsername: admin?.username,
+            action,
+            entityType,
+            entityId: entityId?.toString(),
+            changes: changes || diffDocuments(before, after),
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+    } catch (error) {
+        console.error('⚠️ Failed to write audit log:', error.message);
+    }
+};
@@ -0,0 +1,91 @@
+import Product from '../models/Product.js';
+
+// Revalidate every cart line against the live Product documents.
+// Returns display lines with price/stock flags plus totals for the purchasable lines.
+export const buildCartView = async (cart) => {
+    const productIds = cart.items.map(item => item.productId);
+    const products = await Product.find({ id: { $in: productIds } });
+    const productMap = new Map(products.map(product => [product.id, product]));
+
+    const summary = {
+        totalItems: 0,
+        subtotal: 0,
+        totalMRP: 0,
+        totalSavings: 0
+    };
+
+    const items = cart.items.map(item => {
+        const product = productMap.get(item.productId);
+
+        if (!product || product.status !== 'active') {
+            return {
+                productId: item.productId,
+                quantity: item.quantity,
+                available: false,
+                issue: 'Product is no longer available'
+            };
+        }
+
+        const availableQuantity = product.stockQuantity;
+        const purchasableQuantity = Math.min(item.quantity, availableQuantity);
+        let issue = null;
+
+        if (availableQuantity === 0) {
+            issue = 'Out of stock';
+        } else if (purchasableQuantity < item.quantity) {
+            issue = `Only ${availableQuantity} left in stock`;
+        }
+
+        if (purchasableQuantity > 0) {
+            summary.totalItems += purchasableQuantity;
+            summary.subtotal += product.dmartPrice * purchasableQuantity;
+            summary.totalMRP += product.mrp * purchasableQuantity;
+        }
+
+        return {
+            productId: product.id,
+            name: product.name,
+            brand: product.brand,
+            weight: product.weight,
+            image: product.images[0]?.url || '',
+            mrp: product.mrp,
+            dmartPrice: product.dmartPrice,
+            discountPercent: product.discountPercent,
+            quantity: item.quantity,
+            purchasableQuantity,
+            availableQuantity,
+            lineTotal: product.dmartPrice * purchasableQuantity,
+            available: purchasableQuantity > 0,
+            priceChanged: product.dmartPrice !== item.priceAtAdd,
+            previousPrice: item.priceAtAdd,
+            issue
+        };
+    });
+
+    summary.totalSavings = summary.totalMRP - summary.subtotal;
+
+    return { items, summary };
+};
+
+// Check a product can be put in the cart at the requested quantity.
+// Returns { product } or { status, error }.
+export const checkCartProduct = async (productId, quantity) => {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return { status: 400, error: 'Quantity must be a positive whole number' };
+    }
+
+    const product = await Product.findOne({ id: productId, status: 'active' });
+
+    if (!product) {
+        return { status: 404, error: 'Product not found or inactive' };
+    }
+
+    if (product.stockQuantity < quantity) {
+        return {
+            status: 400,
+            error: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}`
+        };
+    }
+
+    return { product };
+};
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+
+dotenv.config();
+
+// Order.orderNumber is unique, but orders numbered before the counter-based
+// numbering service (Date.now() plus a random suffix) can collide, and the
+// unique index cannot be built while they do. Those databases also have the
+// old non-unique orderNumber_1 index, and an index of the same name with
+// other options cannot be created over it. Run this before deploying:
+//
+//   npm run migrate:order-numbers            report what needs fixing
+//   npm run migrate:order-numbers -- --fix   renumber duplicates, replace the
+//                                            old index and build the unique one
+//
+// With --fix the oldest order keeps its number; later ones get "-2", "-3", ...
+// appended, so the original number stays recognisable to customers.
+// Until it has run, the unique index is not created and order numbers are
+// not enforced unique.
+const fix = process.argv.includes('--fix');
+
+const findFreeNumber = async (orders, base, start) => {
+    for (let suffix = start; ; suffix++) {
+        const candidate = `${base}-${suffix}`;
+        if (!(await orders.countDocuments({ orderNumber: candidate }, { limit: 1 }))) {
+            return { candidate, suffix };
+        }
+    }
+};
+
+const checkOrderNumbers = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI, { dbName: 'Dmart' });
+        console.log('✅ Connected to MongoDB');
+
+        // Raw collection: legacy orders may not pass current schema validation
+        const orders = mongoose.connection.collection('orders');
+
+        const duplicates = await orders.aggregate([
+            { $group: { _id: '$orderNumber', ids: { $push: { id: '$_id', createdAt: '$createdAt' } }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ], { allowDiskUse: true }).toArray();
+
+        console.log(`🔍 ${duplicates.length} order number(s) used more than once`);
+
+        for (const duplicate of duplicates) {
+            console.log(`   ${duplicate._id}: ${duplicate.count} orders`);
+        }
+
+        const indexes = await orders.indexes();
+        const legacyIndex = indexes.find(index => index.name === 'orderNumber_1' && !index.unique);
+
+        if (legacyIndex) {
+            console.log('🔍 orderNumber_1 index is not unique and has to be replaced');
+        }
+
+        if (!fix) {
+            const needsFix = duplicates.length > 0 || !!legacyIndex;
+            if (needsFix) {
+                console.log('ℹ️ Run again with --fix to apply the changes');
+            }
+            process.exit(needsFix ? 1 : 0);
+        }
+
+        let renumbered = 0;
+
+        for (const duplicate of duplicates) {
+            const [, ...later] = duplicate.ids.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+            let next = 2;
+
+            for (const { id } of later) {
+                const { candidate, suffix } = await findFreeNumber(orders, duplicate._id, next);
+                await orders.updateOne({ _id: id }, { $set: { orderNumber: candidate } });
+                console.log(`   ${id}: ${duplicate._id} -> ${candidate}`);
+                next = suffix + 1;
+                renumbered++;
+            }
+        }
+
+        console.log(`✅ Renumbered ${renumbered} order(s)`);
+
+        if (legacyIndex) {
+            await orders.dropIndex('orderNumber_1');
+            console.log('✅ Dropped the non-unique orderNumber_1 index');
+        }
+
+        await Order.createIndexes();
+        console.log('✅ Order indexes built (orderNumber is unique)');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Order number check failed:', error);
+        process.exit(1);
+    }
+};
+
+checkOrderNumbers();
@@ -0,0 +1,102 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { roundMoney } from './pricing.js';
+
+const couponError = (status, error) => ({ status, error });
+
+// Check a coupon code against the customer and the server-priced order lines.
+// Returns { coupon, pricingCoupon } or { status, error }.
+export const evaluateCoupon = async ({ code, userId, lines }) => {
+    if (!code || typeof code !== 'string') {
+        return couponError(400, 'Coupon code is required');
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+    if (!coupon || !coupon.isActive) {
+        return couponError(404, 'Invalid coupon code');
+    }
+
+    if (!coupon.isWithinValidity()) {
+        return couponError(400, 'This coupon has expired or is not active yet');
+    }
+
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        return couponError(400, 'This coupon has reached its usage limit');
+    }
+
+    if (userId) {
+        const usedByUser = await CouponRedemption.countForUser(coupon._id, userId);
+        if (usedByUser >= coupon.perUserLimit) {
+            return couponError(400, 'You have already used this coupon');
+        }
+    }
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.dmartPrice * line.quantity, 0));
+
+    if (subtotal < coupon.minOrderValue) {
+        return couponError(400, `Add items worth ₹${roundMoney(coupon.minOrderValue - subtotal)} more to use this coupon`);
+    }
+
+    const eligibleSubtotal = roundMoney(
+        lines
+            .filter(line => coupon.appliesToLine(line))
+            .reduce((sum, line) => sum + line.dmartPrice * line.quantity, 0)
+    );
+
+    if (eligibleSubtotal === 0) {
+        return couponError(400, 'This coupon does not apply to any item in your order');
+    }
+
+    return {
+        coupon,
+        // Shape expected by calculateOrderSummary
+        pricingCoupon: {
+            discountType: coupon.discountType,
+            discount: coupon.discountValue,
+            maxDiscount: coupon.maxDiscount,
+            eligibleSubtotal,
+            eligibleProductIds: lines.filter(line => coupon.appliesToLine(line)).map(line => line.productId)
+        }
+    };
+};
+
+// Record a coupon use for a new order inside its transaction. Limits are
+// re-checked here so concurrent orders cannot overshoot them.
+export const redeemCoupon = async ({ coupon, userId, order, discount, session }) => {
+    const claimed = await Coupon.claimUse(coupon._id, session);
+
+    if (!claimed) {
+        const error = new Error('This coupon has reached its usage limit');
+        error.status = 409;
+        throw error;
+    }
+
+    const usedByUser = await CouponRedemption.countForUser(coupon._id, userId, session);
+
+    if (usedByUser >= coupon.perUserLimit) {
+        const error = new Error('You have already used this coupon');
+        error.status = 409;
+        throw error;
+    }
+
+    await CouponRedemption.create([{
+        coupon: coupon._id,
+        user: userId,
+        order: order._id,
+        discount
+    }], { session });
+};
+
+// Give the coupon use back when an order is cancelled; safe to call repeatedly
+export const releaseCoupon = async (order, session) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { order: order._id, status: 'applied' },
+        { $set: { status: 'released', releasedAt: new Date() } },
+        { new: true, session }
+    );
+
+    if (redemption) {
+        await Coupon.releaseUse(redemption.coupon, session);
+    }
+};
@@ -26,6 +26,7 @@ const createDefaultAdmin = async () => {
             console.log(`👤 Username: ${existingAdmin.username}`);
             console.log(`📧 Email: ${existingAdmin.email}`);
             console.log(`🟢 Active: ${existingAdmin.isActive}`);
+            console.log(`🛡️ Role: ${existingAdmin.role}`);
 
             // Test password verification
             const adminWithPassword = await Admin.findOne({
@@ -55,6 +56,7 @@ const createDefaultAdmin = async () => {
             email: process.env.ADMIN_EMAIL,
             password: process.env.ADMIN_PASSWORD,
             name: 'System Administrator',
+            role: 'owner',
             isActive: true
         });
 
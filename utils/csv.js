@@ -0,0 +1,73 @@
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings.
+// Returns an array of rows, each an array of strings.
+export const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by the (trimmed, lower-cased) header names
+export const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const keys = header.map(name => name.trim().toLowerCase());
+
+    return rows.map(cells => Object.fromEntries(
+        keys.map((key, index) => [key, (cells[index] ?? '').trim()])
+    ));
+};
+
+// Quote a value for CSV output. Cells that spreadsheet apps would run as
+// formulas are prefixed with an apostrophe.
+export const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) from a list of values
+export const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
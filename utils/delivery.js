@@ -0,0 +1,20 @@
+import ServiceablePincode from '../models/ServiceablePincode.js';
+import { PINCODE_REGEX } from './address.js';
+
+// Look up whether we deliver to a pincode.
+// Returns { pincode, zone } or { status, error }.
+export const resolveDeliveryZone = async (pincode) => {
+    const value = String(pincode || '').trim();
+
+    if (!PINCODE_REGEX.test(value)) {
+        return { status: 400, error: 'Pincode must be a valid 6-digit Indian pincode' };
+    }
+
+    const entry = await ServiceablePincode.findOne({ pincode: value, isActive: true }).populate('zone');
+
+    if (!entry || !entry.zone || !entry.zone.isActive) {
+        return { status: 422, error: `Sorry, we do not deliver to ${value} yet` };
+    }
+
+    return { pincode: entry, zone: entry.zone };
+};
@@ -0,0 +1,121 @@
+import DeliverySlot from '../models/DeliverySlot.js';
+import SlotBooking from '../models/SlotBooking.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Slot times are store-local; the offset turns them into instants
+const getStoreUtcOffset = () => process.env.STORE_UTC_OFFSET || '+05:30';
+const getBookingWindowDays = () => parseInt(process.env.SLOT_BOOKING_DAYS) || 7;
+
+const slotError = (status, error) => ({ status, error });
+
+const slotStartsAt = (slot, date) => new Date(`${date}T${slot.startTime}:00${getStoreUtcOffset()}`);
+
+// Today's date in store-local time, YYYY-MM-DD
+const storeToday = () => {
+    const offset = getStoreUtcOffset();
+    const sign = offset.startsWith('-') ? -1 : 1;
+    const [hours, minutes] = offset.slice(1).split(':').map(Number);
+    const local = new Date(Date.now() + sign * (hours * 60 + minutes) * 60 * 1000);
+    return local.toISOString().slice(0, 10);
+};
+
+// Validate a YYYY-MM-DD date inside the booking window; returns an error message or null
+export const checkSlotDate = (date) => {
+    if (!DATE_REGEX.test(date || '') || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+        return 'Date must be in YYYY-MM-DD format';
+    }
+
+    const today = storeToday();
+    const lastDay = new Date(Date.parse(`${today}T00:00:00Z`) + getBookingWindowDays() * 86400000)
+        .toISOString().slice(0, 10);
+
+    if (date < today || date > lastDay) {
+        return `Slots can be booked from ${today} to ${lastDay}`;
+    }
+
+    return null;
+};
+
+const isBookable = (slot, date, now = new Date()) => {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const closesAt = slotStartsAt(slot, date).getTime() - slot.cutoffMinutes * 60 * 1000;
+    return slot.isActive && slot.runsOn(dayOfWeek) && now.getTime() < closesAt;
+};
+
+// Slots of a zone on a date with their remaining capacity
+export const listAvailableSlots = async (zoneId, date) => {
+    const slots = await DeliverySlot.find({ zone: zoneId, isActive: true }).sort({ startTime: 1 });
+    const bookings = await SlotBooking.find({ slot: { $in: slots.map(slot => slot._id) }, date });
+    const bookedMap = new Map(bookings.map(booking => [String(booking.slot), booking.bookedCount]));
+
+    return slots
+        .filter(slot => slot.runsOn(new Date(`${date}T00:00:00Z`).getUTCDay()))
+        .map(slot => {
+            const remaining = Math.max(slot.capacity - (bookedMap.get(String(slot._id)) || 0), 0);
+            return {
+                slotId: slot._id,
+                label: slot.label,
+                date,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                remaining,
+                available: remaining > 0 && isBookable(slot, date)
+            };
+        });
+};
+
+// Check a requested { slotId, date } against the order's delivery zone and
+// make sure its booking document exists for reserveSlot().
+// Returns { slot, date } or { status, error }.
+export const validateSlotRequest = async (request, zoneId) => {
+    if (!request || !request.slotId || !request.date) {
+        return slotError(400, 'Delivery slot needs a slotId and a date');
+    }
+
+    const dateError = checkSlotDate(request.date);
+    if (dateError) return slotError(400, dateError);
+
+    const slot = await DeliverySlot.findById(request.slotId).catch(() => null);
+
+    if (!slot || !slot.zone.equals(zoneId)) {
+        return slotError(400, 'This delivery slot is not offered for your pincode');
+    }
+
+    if (!isBookable(slot, request.date)) {
+        return slotError(409, 'This delivery slot is no longer available');
+    }
+
+    await SlotBooking.ensure(slot._id, request.date);
+
+    return { slot, date: request.date };
+};
+
+// Book the slot inside the order transaction; throws a 409 error when it is full
+export const reserveSlot = async ({ slot, date }, session) => {
+    const reserved = await SlotBooking.reserve(slot, date, session);
+
+    if (!reserved) {
+        const error = new Error('This delivery slot is full. Please choose another one.');
+        error.status = 409;
+        throw error;
+    }
+};
+
+// Free the order's slot once. deliverySlot.released is claimed in the database,
+// so concurrent cancels or deletes release it once (caller saves the order).
+export const releaseSlot = async (order, session) => {
+    const booking = order.deliverySlot;
+    if (!booking || !booking.slot) return;
+
+    const claimed = await order.constructor.updateOne(
+        { _id: order._id, 'deliverySlot.released': { $ne: true } },
+        { $set: { 'deliverySlot.released': true } },
+        { session }
+    );
+
+    if (claimed.modifiedCount === 0) return;
+
+    await SlotBooking.release(booking.slot, booking.date, session);
+    booking.released = true;
+};
@@ -0,0 +1,56 @@
+import Product from '../models/Product.js';
+
+// Pipeline update keeps inStock in sync (the save hook does not run on updates)
+const adjustStockPipeline = (delta) => [
+    { $set: { stockQuantity: { $add: ['$stockQuantity', delta] } } },
+    { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+];
+
+// Atomically take stock for every order line. The filter only matches when
+// enough stock is left, so concurrent buyers cannot oversell the last unit.
+// Run inside a transaction so a failure on a later line rolls back earlier ones.
+export const decrementStock = async (lines, session) => {
+    for (const line of lines) {
+        const updated = await Product.findOneAndUpdate(
+            { id: line.productId, status: 'active', stockQuantity: { $gte: line.quantity } },
+            adjustStockPipeline(-line.quantity),
+            { new: true, session }
+        );
+
+        if (!updated) {
+            const error = new Error(`Insufficient stock for ${line.name}`);
+            error.status = 409;
+            error.productId = line.productId;
+            throw error;
+        }
+    }
+};
+
+// Put quantities ({ productId, quantity }) back on the shelf
+export const restockLines = async (lines, session) => {
+    for (const line of lines) {
+        await Product.updateOne(
+            { id: line.productId },
+            adjustStockPipeline(line.quantity),
+            { session }
+        );
+    }
+};
+
+// Put an order's quantities back, only if placing it took them out of stock.
+// The stockRestored flag is claimed in the database first, so concurrent
+// cancels or deletes restock once; the caller saves the order (same session).
+export const restockOrder = async (order, session) => {
+    const claimed = await order.constructor.updateOne(
+        { _id: order._id, stockDeducted: true, stockRestored: { $ne: true } },
+        { $set: { stockRestored: true } },
+        { session }
+    );
+
+    if (claimed.modifiedCount === 0) return false;
+
+    await restockLines(order.products, session);
+
+    order.stockRestored = true;
+    return true;
+};
@@ -0,0 +1,174 @@
+import PDFDocument from 'pdfkit';
+
+// Built-in PDF fonts have no rupee glyph
+const money = (value) => `Rs. ${(Number(value) || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+});
+
+const PAGE_MARGIN = 40;
+
+// Column layout for the item table: [header, width, align]
+const COLUMNS = [
+    ['#', 20, 'left'],
+    ['Item', 150, 'left'],
+    ['HSN', 45, 'left'],
+    ['Qty', 30, 'right'],
+    ['Rate', 55, 'right'],
+    ['Taxable', 60, 'right'],
+    ['GST %', 35, 'right'],
+    ['Tax', 55, 'right'],
+    ['Amount', 65, 'right']
+];
+
+const drawRow = (doc, y, cells, { bold = false } = {}) => {
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+    const heights = cells.map((cell, index) => doc.heightOfString(String(cell), { width: COLUMNS[index][1] - 4 }));
+
+    cells.forEach((cell, index) => {
+        const [, width, align] = COLUMNS[index];
+        doc.text(String(cell), x, y, { width: width - 4, align });
+        x += width;
+    });
+
+    return y + Math.max(...heights) + 6;
+};
+
+const drawTotals = (doc, y, rows) => {
+    const labelX = 330;
+    const valueWidth = 130;
+
+    for (const [label, value, bold] of rows) {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, labelX, y, { width: 100 });
+        doc.text(value, labelX + 95, y, { width: valueWidth, align: 'right' });
+        y += 14;
+    }
+
+    return y;
+};
+
+// Render a GST tax invoice. Returns the PDFDocument; the caller pipes it and
+// must call end().
+export const renderInvoicePdf = ({ order, settings, transaction }) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const summary = order.orderSummary;
+    const tax = order.tax || {};
+    const intraState = tax.supplyType === 'intra_state';
+
+    doc.info.Title = `Invoice ${order.invoice.number}`;
+
+    // Store header
+    doc.font('Helvetica-Bold').fontSize(16).text(settings.siteName, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9);
+    if (settings.storeAddress) doc.text(settings.storeAddress);
+    // The order's snapshot wins over current settings
+    const storeState = tax.storeState || settings.storeState;
+    const gstin = tax.gstin || settings.gstin;
+    if (storeState) doc.text(`State: ${storeState}`);
+    if (gstin) doc.text(`GSTIN: ${gstin}`);
+    if (settings.siteEmail) doc.text(`Email: ${settings.siteEmail}`);
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Invoice No: ${order.invoice.number}`, { align: 'right' })
+        .text(`Invoice Date: ${formatDate(order.invoice.issuedAt)}`, { align: 'right' })
+        .text(`Order No: ${order.orderNumber}`, { align: 'right' })
+        .text(`Order Date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+    // Customer
+    let y = Math.max(doc.y, 130) + 10;
+    const address = order.deliveryAddress;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To / Ship To', PAGE_MARGIN, y);
+    doc.font('Helvetica').fontSize(9)
+        .text(address.fullName)
+        .text(address.address)
+        .text(`${address.city}, ${address.state} - ${address.pincode}`)
+        .text(`Phone: ${address.phone}`);
+    if (tax.placeOfSupply) doc.text(`Place of Supply: ${tax.placeOfSupply}`);
+
+    // Items
+    y = doc.y + 15;
+    y = drawRow(doc, y, COLUMNS.map(([header]) => header), { bold: true });
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(doc.page.width - PAGE_MARGIN, y - 3).stroke();
+
+    order.products.forEach((line, index) => {
+        if (y > doc.page.height - 200) {
+            doc.addPage();
+            y = PAGE_MARGIN;
+        }
+
+        const lineTax = (line.cgst || 0) + (line.sgst || 0) + (line.igst || 0);
+        const name = line.weight ? `${line.name} (${line.weight})` : line.name;
+
+        y = drawRow(doc, y, [
+            index + 1,
+            name,
+            line.hsnCode || '-',
+            line.quantity,
+            line.dmartPrice.toFixed(2),
+            (line.taxableValue || 0).toFixed(2),
+            line.gstRate || 0,
+            lineTax.toFixed(2),
+            (line.totalPrice - (line.couponShare || 0)).toFixed(2)
+        ]);
+    });
+
+    if (summary.deliveryFee > 0 && tax.delivery) {
+        const delivery = tax.delivery;
+        y = drawRow(doc, y, [
+            '',
+            'Delivery charges',
+            delivery.sacCode || '-',
+            1,
+            summary.deliveryFee.toFixed(2),
+            (delivery.taxableValue || 0).toFixed(2),
+            delivery.gstRate || 0,
+            ((delivery.cgst || 0) + (delivery.sgst || 0) + (delivery.igst || 0)).toFixed(2),
+            summary.deliveryFee.toFixed(2)
+        ]);
+    }
+
+    doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).stroke();
+    y += 10;
+
+    // Totals
+    const totalRows = [
+        ['Items total', money(summary.subtotal)]
+    ];
+    if (summary.couponDiscount > 0) {
+        const code = order.couponUsed?.code ? ` (${order.couponUsed.code})` : '';
+        totalRows.push([`Coupon${code}`, `- ${money(summary.couponDiscount)}`]);
+    }
+    totalRows.push(['Delivery fee', summary.deliveryFee > 0 ? money(summary.deliveryFee) : 'FREE']);
+    totalRows.push(['Taxable value', money(summary.taxableAmount)]);
+    if (intraState) {
+        totalRows.push(['CGST', money(summary.cgst)]);
+        totalRows.push(['SGST', money(summary.sgst)]);
+    } else {
+        totalRows.push(['IGST', money(summary.igst)]);
+    }
+    totalRows.push(['Grand total', money(summary.finalTotal), true]);
+
+    y = drawTotals(doc, y, totalRows);
+
+    // Payment
+    y += 10;
+    doc.font('Helvetica-Bold').fontSize(9).text('Payment', PAGE_MARGIN, y);
+    doc.font('Helvetica')
+        .text(`Method: ${order.paymentMethod === 'cod' ? 'Cash on delivery' : 'Online (UPI)'}`)
+        .text(`Status: ${order.paymentStatus}`);
+    if (transaction?.upiRef) doc.text(`UPI reference: ${transaction.upiRef}`);
+    if (transaction?.tid) doc.text(`Transaction ID: ${transaction.tid}`);
+
+    doc.moveDown(2).fontSize(8).fillColor('#666666')
+        .text('Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.',
+            PAGE_MARGIN, doc.y, { align: 'center', width: doc.page.width - PAGE_MARGIN * 2 });
+
+    return doc;
+};
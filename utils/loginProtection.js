@@ -0,0 +1,49 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+
+// Tunables for admin login brute-force protection
+export const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+export const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+export const MAX_LOCK_MINUTES = 24 * 60;
+export const IP_WINDOW_MS = 15 * 60 * 1000;
+export const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lock duration doubles with each consecutive lockout
+export const getLockDurationMs = (lockCount) => {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES);
+    return minutes * 60 * 1000;
+};
+
+// Slow down the response the more an IP has failed recently
+export const applyFailureDelay = async (ip) => {
+    const failures = await LoginAttempt.countRecentFailuresByIp(ip, IP_WINDOW_MS);
+    if (failures === 0) return;
+
+    await sleep(Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS));
+};
+
+// Returns seconds until the IP may retry, or 0 if it is not blocked
+export const getIpRetryAfter = async (ip) => {
+    const failures = await LoginAttempt.countRecentFailuresByIp(ip, IP_WINDOW_MS);
+    if (failures < IP_MAX_FAILURES) return 0;
+
+    const oldestInWindow = await LoginAttempt.findOldestRecentFailureByIp(ip, IP_WINDOW_MS);
+
+    const unblockAt = oldestInWindow.createdAt.getTime() + IP_WINDOW_MS;
+    return Math.max(1, Math.ceil((unblockAt - Date.now()) / 1000));
+};
+
+export const recordLoginAttempt = (req, { username, admin, success, reason }) => {
+    return LoginAttempt.create({
+        username,
+        admin: admin?._id || null,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        success,
+        reason
+    }).catch(error => console.error('Failed to record login attempt:', error));
+};
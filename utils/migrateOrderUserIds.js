@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// One-off migration for orders placed before customer accounts, when userId
+// was a free-form string. Ids that look like ObjectIds are converted in place;
+// anything else moves to legacyUserId so the order still validates on save.
+// Safe to run more than once. Pass --dry-run to only report counts.
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateOrderUserIds = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI, { dbName: 'Dmart' });
+        console.log('✅ Connected to MongoDB');
+
+        // Raw collection: the Order model would cast (or reject) these values on read
+        const orders = mongoose.connection.collection('orders');
+        const stringIds = { userId: { $type: 'string' } };
+
+        const convertible = { $and: [stringIds, { userId: { $regex: /^[0-9a-fA-F]{24}$/ } }] };
+        const unconvertible = { $and: [stringIds, { userId: { $not: /^[0-9a-fA-F]{24}$/ } }] };
+
+        const [toConvert, toMove] = await Promise.all([
+            orders.countDocuments(convertible),
+            orders.countDocuments(unconvertible)
+        ]);
+
+        console.log(`🔍 ${toConvert} order(s) with a string ObjectId userId`);
+        console.log(`🔍 ${toMove} order(s) with a userId that is not an ObjectId`);
+
+        if (dryRun) {
+            console.log('ℹ️ Dry run, nothing changed');
+            process.exit(0);
+        }
+
+        const converted = await orders.updateMany(convertible, [
+            { $set: { userId: { $toObjectId: '$userId' } } }
+        ]);
+
+        const moved = await orders.updateMany(unconvertible, [
+            { $set: { legacyUserId: '$userId' } },
+            { $unset: 'userId' }
+        ]);
+
+        console.log(`✅ Converted ${converted.modifiedCount} userId(s) to ObjectId`);
+        console.log(`✅ Moved ${moved.modifiedCount} userId(s) to legacyUserId`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    }
+};
+
+migrateOrderUserIds();
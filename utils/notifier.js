@@ -0,0 +1,46 @@
+import fs from 'fs';
+import path from 'path';
+
+// Pluggable outbound notifications (password resets, invites, ...).
+// Pick a transport with NOTIFIER_TRANSPORT; register others (SMTP, SES, ...)
+// with registerTransport(name, async (message) => {}).
+
+const consoleTransport = async (message) => {
+    console.log('📨 Notification');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${message.text.split('\n').join('\n   ')}`);
+};
+
+const fileTransport = async (message) => {
+    const filePath = process.env.NOTIFIER_FILE_PATH || path.join('logs', 'notifications.log');
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+export const registerTransport = (name, transport) => {
+    if (typeof transport !== 'function') {
+        throw new Error('Notifier transport must be a function');
+    }
+    transports[name] = transport;
+};
+
+export const sendNotification = async ({ to, subject, text, type }) => {
+    const transportName = process.env.NOTIFIER_TRANSPORT || 'console';
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown notifier transport: ${transportName}`);
+    }
+
+    await transport({ to, subject, text, type });
+};
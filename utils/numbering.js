@@ -0,0 +1,35 @@
+import Counter from '../models/Counter.js';
+
+// Document number series. Prefixes can be overridden per deployment.
+const SERIES = {
+    order: { env: 'ORDER_NUMBER_PREFIX', prefix: 'ORD' },
+    invoice: { env: 'INVOICE_NUMBER_PREFIX', prefix: 'INV' },
+    refund: { env: 'REFUND_NUMBER_PREFIX', prefix: 'RFD' }
+};
+
+const SEQUENCE_DIGITS = 6;
+
+// Indian financial year (April to March), named by the year it starts in
+export const getFinancialYear = (date = new Date()) => {
+    // Evaluate in IST so the 1 April rollover happens at local midnight
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const year = ist.getUTCFullYear();
+    return ist.getUTCMonth() >= 3 ? year : year - 1;
+};
+
+// Next number in a series, e.g. ORD-2026-000123. Each financial year has its
+// own counter, so numbering restarts at 1 every April. Pass the session of
+// the transaction that saves the document so an aborted save leaves no gap.
+export const nextNumber = async (series, session) => {
+    const config = SERIES[series];
+
+    if (!config) {
+        throw new Error(`Unknown number series: ${series}`);
+    }
+
+    const financialYear = getFinancialYear();
+    const seq = await Counter.next(`${series}:${financialYear}`, session);
+    const prefix = process.env[config.env] || config.prefix;
+
+    return `${prefix}-${financialYear}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+};
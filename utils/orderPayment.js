@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import { canTransition, changeOrderStatus } from './orderStatus.js';
+import { createRefund } from './refunds.js';
+
+const MAX_STATUS_ATTEMPTS = 3;
+
+// Apply a payment result to the order as currently stored
+const applyToCurrentOrder = async (orderId, paymentResult) => {
+    const order = await Order.findById(orderId);
+    if (!order) return null;
+
+    if (paymentResult === 'success') {
+        order.paymentStatus = 'paid';
+        if (order.status === 'pending') {
+            return changeOrderStatus(order, 'confirmed', { note: 'Payment received' });
+        }
+        if (order.status === 'cancelled') {
+            await mongoose.connection.transaction(async (session) => {
+                await order.save({ session });
+                await createRefund({
+                    order,
+                    amount: order.orderSummary.finalTotal,
+                    reason: 'cancellation',
+                    session
+                });
+            });
+            return order;
+        }
+        await order.save();
+    } else if (paymentResult === 'failed' || paymentResult === 'expired') {
+        // A retried payment that is still open or already went through decides
+        // the order instead of this failed attempt
+        const otherAttempt = await Transaction.exists({
+            orderId: order._id,
+            status: { $in: ['pending', 'success'] }
+        });
+        if (otherAttempt) return order;
+
+        order.paymentStatus = 'failed';
+        if (order.status === 'pending' && canTransition(order.status, 'cancelled')) {
+            return changeOrderStatus(order, 'cancelled', { note: `Payment ${paymentResult}` });
+        }
+        await order.save();
+    }
+
+    return order;
+};
+
+// Reflect a finished transaction on its order (call after saving the
+// transaction). A failed or expired payment cancels a still-pending order and
+// returns its stock, unless another payment attempt is open or succeeded. Money that arrives for
+// an already cancelled order is refunded.
+export const applyPaymentResultToOrder = async (orderId, paymentResult) => {
+    // A status change can lose to a concurrent one (e.g. the customer cancelling
+    // while the payment lands); apply the result again to the reloaded order
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await applyToCurrentOrder(orderId, paymentResult);
+        } catch (error) {
+            if (error.status !== 409 || attempt >= MAX_STATUS_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Online orders that have gone this long without a payment are cancelled
+const getUnpaidOrderExpiryMinutes = () => parseInt(process.env.UNPAID_ORDER_EXPIRY_MINUTES) || 60;
+
+// Cancel online orders still pending and unpaid past the expiry, returning
+// their stock. Orders with an open or successful payment attempt are left
+// alone. Run periodically from server.js; returns how many were cancelled.
+export const expireUnpaidOrders = async () => {
+    const cutoff = new Date(Date.now() - getUnpaidOrderExpiryMinutes() * 60 * 1000);
+    const orders = await Order.find({
+        status: 'pending',
+        paymentMethod: 'online',
+        paymentStatus: { $in: ['pending', 'failed'] },
+        createdAt: { $lt: cutoff }
+    }).select('_id');
+
+    let cancelled = 0;
+
+    for (const { _id } of orders) {
+        try {
+            const order = await applyPaymentResultToOrder(_id, 'expired');
+            if (order?.status === 'cancelled') cancelled++;
+        } catch (error) {
+            console.error(`Error expiring unpaid order ${_id}:`, error);
+        }
+    }
+
+    return cancelled;
+};
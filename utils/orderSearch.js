@@ -0,0 +1,103 @@
+import { ORDER_STATUSES } from '../config/orderStatus.js';
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query-string sort keys and the fields they sort on
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    orderNumber: 'orderNumber',
+    status: 'status',
+    total: 'orderSummary.finalTotal',
+    paymentMethod: 'paymentMethod',
+    paymentStatus: 'paymentStatus',
+    pincode: 'deliveryAddress.pincode',
+    name: 'deliveryAddress.fullName',
+    phone: 'deliveryAddress.phone'
+};
+
+// Comma-separated or repeated query values as a list
+const toList = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const parseDate = (value, endOfDay = false) => {
+    if (!value) return null;
+    // Bare dates cover the whole day
+    const text = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`
+        : value;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Build a Mongo filter from order search query parameters.
+// Returns { filter } or { error } for malformed input.
+export const buildOrderFilter = (params) => {
+    const filter = {};
+    const {
+        q, orderNumber, phone, name, pincode,
+        from, to, paymentMethod, paymentStatus, minTotal, maxTotal
+    } = params;
+
+    // Free text matches order number, customer phone or name
+    if (q) {
+        const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+        filter.$or = [
+            { orderNumber: pattern },
+            { 'deliveryAddress.phone': pattern },
+            { 'deliveryAddress.fullName': pattern }
+        ];
+    }
+
+    if (orderNumber) filter.orderNumber = new RegExp(`^${escapeRegex(String(orderNumber).trim())}`, 'i');
+    if (phone) filter['deliveryAddress.phone'] = new RegExp(escapeRegex(String(phone).replace(/\D/g, '')));
+    if (name) filter['deliveryAddress.fullName'] = new RegExp(escapeRegex(String(name).trim()), 'i');
+
+    const pincodes = toList(pincode);
+    if (pincodes.length > 0) filter['deliveryAddress.pincode'] = { $in: pincodes };
+
+    const statuses = toList(params.status);
+    if (statuses.some(status => !ORDER_STATUSES.includes(status))) {
+        return { error: `status must be one of: ${ORDER_STATUSES.join(', ')}` };
+    }
+    if (statuses.length > 0) filter.status = { $in: statuses };
+
+    const paymentMethods = toList(paymentMethod);
+    if (paymentMethods.length > 0) filter.paymentMethod = { $in: paymentMethods };
+
+    const paymentStatuses = toList(paymentStatus);
+    if (paymentStatuses.length > 0) filter.paymentStatus = { $in: paymentStatuses };
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+        return { error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' };
+    }
+    if (fromDate || toDate) {
+        filter.createdAt = {};
+        if (fromDate) filter.createdAt.$gte = fromDate;
+        if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const min = minTotal !== undefined && minTotal !== '' ? Number(minTotal) : null;
+    const max = maxTotal !== undefined && maxTotal !== '' ? Number(maxTotal) : null;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+        return { error: 'minTotal and maxTotal must be numbers' };
+    }
+    if (min !== null || max !== null) {
+        filter['orderSummary.finalTotal'] = {};
+        if (min !== null) filter['orderSummary.finalTotal'].$gte = min;
+        if (max !== null) filter['orderSummary.finalTotal'].$lte = max;
+    }
+
+    return { filter };
+};
+
+// Sort spec from ?sort=<key>&order=asc|desc (newest first by default)
+export const buildOrderSort = ({ sort, order }) => {
+    const field = SORT_FIELDS[sort] || 'createdAt';
+    const direction = order === 'asc' ? 1 : -1;
+    // _id keeps paging stable when the sort field has ties
+    return { [field]: direction, _id: direction };
+};
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { restockOrder } from './inventory.js';
+import { releaseCoupon } from './coupons.js';
+import { releaseSlot } from './deliverySlots.js';
+import { createRefund } from './refunds.js';
+import { ORDER_STATUSES, ORDER_TRANSITIONS, FULFILMENT_STEPS, canTransition } from '../config/orderStatus.js';
+
+// Re-exported so callers have one import for the order lifecycle
+export { ORDER_STATUSES, ORDER_TRANSITIONS, FULFILMENT_STEPS, canTransition };
+
+// Customer-facing progress: each fulfilment step with when it was reached
+export const buildTrackingSteps = (order) => {
+    const reachedAt = (status) => order.statusHistory.find(entry => entry.status === status)?.changedAt || null;
+
+    const steps = FULFILMENT_STEPS.map(status => ({
+        status,
+        completed: reachedAt(status) !== null,
+        at: reachedAt(status)
+    }));
+
+    if (order.status === 'cancelled') {
+        steps.push({ status: 'cancelled', completed: true, at: reachedAt('cancelled') });
+    }
+
+    return steps;
+};
+
+export const SYSTEM_ACTOR = { actorType: 'system', name: 'system' };
+
+// Who is making a change, for statusHistory entries
+export const actorFromRequest = (req) => {
+    if (req.admin) {
+        return { actorType: 'admin', actorId: req.admin._id, name: req.admin.username };
+    }
+    if (req.user) {
+        return { actorType: 'customer', actorId: req.user._id, name: req.user.name || req.user.phone };
+    }
+    return SYSTEM_ACTOR;
+};
+
+// Write order.status only if the stored order is still in `from`, inside the
+// caller's transaction. Of concurrent changes to one order the first commits and
+// the others get a 409 (a write conflict retries them into this check).
+export const claimStatusChange = async (order, from, session) => {
+    const claimed = await order.constructor.updateOne(
+        { _id: order._id, status: from },
+        { $set: { status: order.status } },
+        { session }
+    );
+
+    if (claimed.matchedCount === 0) {
+        const error = new Error(`The order is no longer ${from}; it was changed by another request. Reload and try again.`);
+        error.status = 409;
+        throw error;
+    }
+};
+
+// Move an order to a new status and persist it, running the side effects of
+// the target status in the same transaction (cancelling restocks the items,
+// gives back the coupon use and delivery slot, and refunds a paid order).
+// Throws an error with status 409 for transitions the graph does not allow
+// and when another request changed the order first.
+export const changeOrderStatus = async (order, status, { actor = SYSTEM_ACTOR, note } = {}) => {
+    const from = order.status;
+
+    // Applied once up front: a retried attempt must not see the order as already moved
+    order.transitionTo(status, { actor, note });
+
+    await mongoose.connection.transaction(async (session) => {
+        await claimStatusChange(order, from, session);
+
+        if (status === 'cancelled') {
+            await restockOrder(order, session);
+            await releaseCoupon(order, session);
+            await releaseSlot(order, session);
+
+            if (order.paymentStatus === 'paid') {
+                await createRefund({
+                    order,
+                    amount: order.orderSummary.finalTotal,
+                    reason: 'cancellation',
+                    session
+                });
+            }
+        }
+
+        await order.save({ session });
+    });
+
+    return order;
+};
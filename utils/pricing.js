@@ -0,0 +1,62 @@
+import { DEFAULT_DELIVERY_RULES } from '../config/delivery.js';
+
+// Submitted totals may differ from ours by rounding only
+const TOLERANCE = 0.01;
+
+export const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Discount for a coupon ({ discountType, discount, maxDiscount }) on a subtotal
+export const calculateCouponDiscount = (coupon, subtotal) => {
+    if (!coupon || !coupon.discountType || !(coupon.discount > 0)) return 0;
+
+    let amount = coupon.discountType === 'percentage'
+        ? subtotal * (coupon.discount / 100)
+        : coupon.discount;
+
+    if (coupon.maxDiscount > 0) {
+        amount = Math.min(amount, coupon.maxDiscount);
+    }
+
+    return roundMoney(Math.min(amount, subtotal));
+};
+
+export const calculateDeliveryFee = (amount, rules = DEFAULT_DELIVERY_RULES) => {
+    if (rules.freeDeliveryThreshold > 0 && amount >= rules.freeDeliveryThreshold) return 0;
+    return roundMoney(rules.deliveryFee || 0);
+};
+
+// Derive every orderSummary field from the server-priced order lines.
+// coupon may carry eligibleSubtotal when it only covers some lines.
+export const calculateOrderSummary = ({ lines, coupon = null, deliveryRules = DEFAULT_DELIVERY_RULES }) => {
+    const totalItems = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.dmartPrice * line.quantity, 0));
+    const totalMRP = roundMoney(lines.reduce((sum, line) => sum + line.mrp * line.quantity, 0));
+    // Restricted coupons discount only the eligible lines
+    const couponDiscount = calculateCouponDiscount(coupon, coupon?.eligibleSubtotal ?? subtotal);
+    const amountAfterDiscount = roundMoney(subtotal - couponDiscount);
+    const deliveryFee = calculateDeliveryFee(amountAfterDiscount, deliveryRules);
+
+    return {
+        totalItems,
+        subtotal,
+        totalMRP,
+        totalSavings: roundMoney(totalMRP - subtotal),
+        couponDiscount,
+        deliveryFee,
+        finalTotal: roundMoney(amountAfterDiscount + deliveryFee)
+    };
+};
+
+// Fields where the client's orderSummary disagrees with the computed one
+export const findSummaryMismatches = (submitted, computed) => {
+    if (!submitted) return [];
+
+    return Object.keys(computed)
+        .filter(field => submitted[field] !== undefined && submitted[field] !== null)
+        .filter(field => Math.abs(Number(submitted[field]) - computed[field]) > TOLERANCE)
+        .map(field => ({
+            field,
+            submitted: Number(submitted[field]),
+            expected: computed[field]
+        }));
+};
@@ -0,0 +1,52 @@
+import Refund from '../models/Refund.js';
+import Transaction from '../models/Transaction.js';
+import { roundMoney } from './pricing.js';
+import { nextNumber } from './numbering.js';
+
+// What is left to refund on an order once pending, processing and completed
+// refunds are counted (failed ones free their amount up)
+export const refundableAmount = async (order, session) => {
+    const committed = await Refund.committedAmount(order._id, session);
+    return roundMoney(order.orderSummary.finalTotal - committed);
+};
+
+// Open a refund for an order, capped at what has not been refunded yet.
+// Online orders are refunded against their successful transaction, COD
+// orders in cash. Returns the refund, or null when nothing is left to refund.
+export const createRefund = async ({ order, amount, reason, returnRequest = null, session }) => {
+    const refundable = await refundableAmount(order, session);
+    const refundAmount = roundMoney(Math.min(amount, refundable));
+
+    if (refundAmount <= 0) return null;
+
+    const transaction = await Transaction.findOne({ orderId: order._id, status: 'success' })
+        .sort({ completedAt: -1 })
+        .session(session || null);
+
+    const [refund] = await Refund.create([{
+        refundNumber: await nextNumber('refund', session),
+        order: order._id,
+        user: order.userId,
+        transaction: transaction?._id || null,
+        returnRequest: returnRequest?._id || null,
+        amount: refundAmount,
+        reason,
+        method: transaction ? 'upi' : 'cash'
+    }], { session });
+
+    return refund;
+};
+
+// Reflect completed refunds in the order's paymentStatus
+export const syncOrderRefundStatus = async (order, session) => {
+    const [result] = await Refund.aggregate([
+        { $match: { order: order._id, status: 'completed' } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session || null);
+
+    const refunded = roundMoney(result?.total || 0);
+    if (refunded <= 0) return;
+
+    order.paymentStatus = refunded >= order.orderSummary.finalTotal ? 'refunded' : 'partially_refunded';
+    await order.save({ session });
+};
@@ -0,0 +1,17 @@
+// What customers (and the public tracking page) may see of a shipment
+export const toTrackingView = (shipment) => ({
+    status: shipment.status,
+    carrierType: shipment.carrierType,
+    courierName: shipment.courierName,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    agentName: shipment.carrierType === 'in_house' ? shipment.agentName : undefined,
+    expectedDeliveryDate: shipment.expectedDeliveryDate,
+    deliveredAt: shipment.proofOfDelivery?.deliveredAt,
+    events: shipment.events.map(event => ({
+        status: event.status,
+        note: event.note,
+        location: event.location,
+        at: event.at
+    }))
+});
@@ -0,0 +1,35 @@
+// Pluggable SMS delivery for customer OTPs and order updates.
+// Pick a transport with SMS_TRANSPORT; register a real gateway (MSG91, Twilio, ...)
+// with registerSmsTransport(name, async ({ to, message }) => {}).
+// The console transport is for development only: it would write OTPs to the
+// server logs, so it refuses to send when NODE_ENV=production.
+
+const consoleTransport = async ({ to, message }) => {
+    console.log(`📱 SMS to ${to}: ${message}`);
+};
+
+const transports = {
+    console: consoleTransport
+};
+
+export const registerSmsTransport = (name, transport) => {
+    if (typeof transport !== 'function') {
+        throw new Error('SMS transport must be a function');
+    }
+    transports[name] = transport;
+};
+
+export const sendSms = async (to, message) => {
+    const transportName = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown SMS transport: ${transportName}`);
+    }
+
+    if (transport === consoleTransport && process.env.NODE_ENV === 'production') {
+        throw new Error('No SMS transport configured for production (set SMS_TRANSPORT to a registered gateway)');
+    }
+
+    await transport({ to, message });
+};
@@ -0,0 +1,107 @@
+import { roundMoney } from './pricing.js';
+
+// GST slabs (percent) a product can be filed under
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// SAC for goods transport/delivery charges
+export const DELIVERY_SAC_CODE = '996813';
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// CGST + SGST when the customer is in the store's state, IGST otherwise.
+// Without a store state every sale would be filed as IGST, so this throws
+// (status 503) instead of guessing.
+export const getSupplyType = (storeState, placeOfSupply) => {
+    if (!normalizeState(storeState)) {
+        const error = new Error('Store state is not configured (settings storeState or STORE_STATE); cannot calculate GST');
+        error.status = 503;
+        throw error;
+    }
+
+    return normalizeState(storeState) === normalizeState(placeOfSupply)
+        ? 'intra_state'
+        : 'inter_state';
+};
+
+// Split a GST-inclusive amount into taxable value and tax heads
+export const splitInclusiveAmount = (amount, gstRate, supplyType) => {
+    const taxableValue = roundMoney(amount * 100 / (100 + gstRate));
+    const tax = roundMoney(amount - taxableValue);
+
+    if (supplyType === 'intra_state') {
+        const cgst = roundMoney(tax / 2);
+        return { taxableValue, cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+    }
+
+    return { taxableValue, cgst: 0, sgst: 0, igst: tax };
+};
+
+// Share an order-level discount across lines in proportion to their value.
+// The last line absorbs rounding so the shares add up exactly.
+const allocateDiscount = (amounts, discount) => {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!(discount > 0) || total === 0) return amounts.map(() => 0);
+
+    const lastIndex = amounts.findLastIndex(amount => amount > 0);
+    let allocated = 0;
+    return amounts.map((amount, index) => {
+        if (index === lastIndex) return roundMoney(discount - allocated);
+        const share = roundMoney(discount * amount / total);
+        allocated += share;
+        return share;
+    });
+};
+
+// GST breakdown for an order. Prices are GST-inclusive, so tax is extracted
+// from each line's value after its share of the coupon discount.
+export const calculateOrderTax = ({
+    lines,
+    couponDiscount = 0,
+    eligibleProductIds = null,
+    deliveryFee = 0,
+    deliveryGstRate = 18,
+    storeState,
+    placeOfSupply
+}) => {
+    const supplyType = getSupplyType(storeState, placeOfSupply);
+
+    // Restricted coupons only discount their eligible lines
+    const isEligible = (line) => !eligibleProductIds || eligibleProductIds.includes(line.productId);
+    const shares = allocateDiscount(
+        lines.map(line => (isEligible(line) ? line.dmartPrice * line.quantity : 0)),
+        couponDiscount
+    );
+
+    const lineTaxes = lines.map((line, index) => {
+        const couponShare = shares[index];
+        const gstRate = line.gstRate || 0;
+
+        return {
+            productId: line.productId,
+            hsnCode: line.hsnCode || '',
+            gstRate,
+            couponShare,
+            ...splitInclusiveAmount(roundMoney(line.dmartPrice * line.quantity - couponShare), gstRate, supplyType)
+        };
+    });
+
+    const deliveryTax = {
+        sacCode: DELIVERY_SAC_CODE,
+        gstRate: deliveryGstRate,
+        ...splitInclusiveAmount(deliveryFee, deliveryGstRate, supplyType)
+    };
+
+    const sum = (field) => roundMoney(
+        lineTaxes.reduce((total, line) => total + line[field], 0) + deliveryTax[field]
+    );
+
+    const totals = {
+        taxableAmount: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst')
+    };
+    totals.totalTax = roundMoney(totals.cgst + totals.sgst + totals.igst);
+
+    return { supplyType, lines: lineTaxes, delivery: deliveryTax, totals };
+};